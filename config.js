@@ -21,6 +21,15 @@ const hbsOptions = {
     defaultPage: 'index',
     defaultLayout: 'index',
     preInstalledHelper: 'shared:preInstalledHelpers',
+    // see server/koa-hbs/setting.js for other options and their defaults, nested ones are merged
+    // packages imported by page scripts
+    script: {
+        includePaths: [path.join(root, 'node_modules')]
+    },
+    // the first one is the default
+    i18n: {
+        locales: ['zh', 'en']
+    },
     extname: '.html',
     templateOptions: {},
     configFileName: '.config.yml',
@@ -38,7 +47,23 @@ module.exports = {
         // include/exclude html pages with file pattern, like `!myTmpProj/**.html`
         htmlPattern: [],
         dest: path.join(root, 'front/dest'),
-        port: 3001
+        port: 3001,
+        // max amount of pages rendered at the same time
+        concurrency: 4,
+        // only rebuild pages whose inputs changed (`--incremental` does the same)
+        incremental: false,
+        // records inputs and hashes of every output, relative to dest
+        manifest: '.build-manifest.json',
+        // rename assets to `name.<hash>.ext` and rewrite references (`--fingerprint` does the same)
+        fingerprint: false,
+        // original name --> hashed name, relative to dest
+        assetManifest: 'asset-manifest.json',
+        // render in strict mode (`--strict` does the same), the build fails on any error
+        strict: false
+    },
+    // html snapshots of pages and component states, see `npm run snapshot`
+    snapshot: {
+        baseline: path.join(root, 'front/snapshots')
     },
     viewer: {
         source: path.join(root, 'front/viewer'),
@@ -49,5 +74,12 @@ module.exports = {
     server: {
         host: '0.0.0.0',
         port: 3000
+    },
+    // reload browser when files under staticRoot changed (dev server only),
+    // files are watched to drop their caches even if it's disabled
+    liveReload: {
+        enable: true,
+        // url of the event stream
+        path: '/__livereload__'
     }
 };
@@ -0,0 +1,9 @@
+import {ready, toggleClass} from 'shared/static/scripts/modules/dom';
+
+// highlight the passenger form being edited
+ready(() => {
+    [].forEach.call(document.querySelectorAll('.passenger-info'), el => {
+        el.addEventListener('focusin', () => toggleClass(el, 'passenger-active', true));
+        el.addEventListener('focusout', () => toggleClass(el, 'passenger-active', false));
+    });
+});
@@ -20,11 +20,26 @@ const helpers = {
             return `<link rel="stylesheet" href="${item}">`;
         }).join('\n'));
     },
-    js(context) {
+    // script entries declared by `scripts` (yaml header or `.config.yml`) are output as their bundles,
+    // and `{{js}}` outputs all of them
+    js(context, options) {
+        options = arguments[arguments.length - 1];
+        const scripts = (options.data && options.data.root.__scripts__) || {
+            entries: {}
+        };
+        if (arguments.length < 2) {
+            context = Object.keys(scripts.entries);
+        }
         if (!Array.isArray(context)) {
             context = [context];
         }
-        return new Handlebars.SafeString(context.map((item) => {
+        let urls = context.map(item => scripts.entries[item] || item);
+        // bundles need the common chunk (webpack runtime and shared modules), it goes first and once
+        if (!scripts.commonIncluded && context.some(item => scripts.entries[item])) {
+            scripts.commonIncluded = true;
+            urls = [scripts.common].concat(urls);
+        }
+        return new Handlebars.SafeString(urls.map((item) => {
             return `<script src="${item}"></script>`;
         }).join('\n'));
     },
@@ -0,0 +1,15 @@
+// dom utilities shared by page scripts of all projects, bundled into the common chunk when used by more than one
+
+export const ready = (fn) => {
+    if (document.readyState !== 'loading') {
+        fn();
+    } else {
+        document.addEventListener('DOMContentLoaded', fn);
+    }
+};
+
+export const toggleClass = (el, name, force) => {
+    const names = el.className.split(/\s+/).filter(v => v && v !== name);
+    if (force) names.push(name);
+    el.className = names.join(' ');
+};
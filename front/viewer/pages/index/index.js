@@ -38,11 +38,20 @@ class IndexPage extends Component {
     _onFrameLoad() {
         console.log('frame load');
         this.setState({
+            __scenarios__: this.refs.iframe.contentWindow.__scenarios__,
             __components__: setupComponentsViewer(this.refs.iframe, injectedStyle, {
                 onHideAll: this._onHideAll.bind(this)
             }, this.props.location)
         });
     }
+    // reload the page with data scenario, empty name means default data
+    _loadScenario(name) {
+        let url = this.state.iframe.src.replace(/([?&])__scenario__=[^&]*&?/, '$1').replace(/[?&]$/, '');
+        if (name) {
+            url += (url.indexOf('?') > -1 ? '&' : '?') + '__scenario__=' + encodeURIComponent(name);
+        }
+        this._loadPage(url);
+    }
     _onHideAll() {
         this.setState({
             __components__: this.state.__components__
@@ -78,6 +87,7 @@ class IndexPage extends Component {
     render() {
         console.log('render');
         const components = this.state.__components__ && this.state.__components__.components;
+        const scenarios = this.state.__scenarios__;
         return (
             <div>
                 <header className={styles.header}>
@@ -120,8 +130,25 @@ class IndexPage extends Component {
                             }
                         </div>
                     </nav>
+                    <nav className={[styles.nav, styles.popoverParent].join(' ')}>
+                        <ul className={[styles.menuContainer, styles.popoverHeader].join(' ')}>
+                            <li className={styles.menuItem}>数据</li>
+                        </ul>
+                        <div className={styles.popover}>
+                            {
+                                scenarios && scenarios.list.length ? [''].concat(scenarios.list).map((v, i) => {
+                                    return (
+                                        <label key={i}>
+                                            <input type="radio" checked={scenarios.current === v} onChange={this._loadScenario.bind(this, v)}/>
+                                            <span>{v || 'default'}</span>
+                                        </label>);
+                                }) : null
+                            }
+                        </div>
+                    </nav>
                     <nav className={styles.nav}>
                         <ul className={styles.menuContainer}>
+                            <li className={styles.menuItem}><a href="/matrix">矩阵</a></li>
                             <li className={styles.menuItem} onClick={this._share.bind(this)}>share</li>
                         </ul>
                     </nav>
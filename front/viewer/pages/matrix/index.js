@@ -0,0 +1,98 @@
+import React, { Component } from 'react';
+import $ from 'jquery';
+// styles
+import styles from './style.scss';
+
+// all states of all components, side by side, at every viewer size
+class MatrixPage extends Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            sizes: this.props.route.sizes,
+            // project --> components map
+            maps: null,
+            error: null
+        };
+    };
+    componentDidMount() {
+        $.getJSON('/components/').then(maps => {
+            this.setState({
+                maps
+            });
+        }, xhr => {
+            this.setState({
+                error: xhr.responseText || xhr.statusText
+            });
+        });
+    }
+    // fit iframe to its content
+    _onFrameLoad(ev) {
+        const iframe = ev.target;
+        const doc = iframe.contentDocument;
+        if (doc && doc.documentElement) {
+            iframe.style.height = doc.documentElement.scrollHeight + 'px';
+        }
+    }
+    _renderStates(project, id, component, size) {
+        return (
+            <div className={styles.row} key={size.label}>
+                <div className={styles.sizeLabel}>{size.label}</div>
+                {
+                    Object.keys(component.states).map(stateName => {
+                        const width = typeof size.size === 'number' ? size.size + 'px' : size.size;
+                        return (
+                            <div className={styles.cell} style={{width}} key={stateName}>
+                                <div className={styles.stateLabel}>
+                                    {component.states[stateName].name}
+                                    <span>{stateName}</span>
+                                </div>
+                                <iframe
+                                    className={styles.iframe}
+                                    src={`/components/${project}/${id}/${stateName}`}
+                                    onLoad={this._onFrameLoad.bind(this)}>
+                                </iframe>
+                            </div>
+                        );
+                    })
+                }
+            </div>
+        );
+    }
+    render() {
+        const maps = this.state.maps;
+        if (this.state.error) {
+            return <pre className={styles.error}>{this.state.error}</pre>;
+        }
+        if (!maps) {
+            return <div className={styles.loading}>loading...</div>;
+        }
+        return (
+            <div className={styles.matrix}>
+                <header className={styles.header}>
+                    <a href="/viewer/">页面</a>
+                    <span>组件矩阵</span>
+                </header>
+                {
+                    Object.keys(maps).map(project => {
+                        const components = maps[project].components;
+                        return Object.keys(components).map(id => {
+                            const component = components[id];
+                            return (
+                                <section className={styles.component} key={`${project}/${id}`}>
+                                    <h2>
+                                        {component.name}
+                                        <span>{project}/{id}</span>
+                                        {component.author ? <span>by {component.author}</span> : null}
+                                    </h2>
+                                    {this.state.sizes.map(size => this._renderStates(project, id, component, size))}
+                                </section>
+                            );
+                        });
+                    })
+                }
+            </div>
+        );
+    }
+}
+
+export default MatrixPage;
@@ -3,6 +3,7 @@ import { Router, Route, IndexRoute } from 'react-router';
 import { browserHistory } from 'react-router'
 
 import IndexPage from './pages/index';
+import MatrixPage from './pages/matrix';
 
 class AppRoot extends React.Component {
     constructor(props) {
@@ -31,6 +32,7 @@ class AppRoutes extends Component {
             <Router history={browserHistory}>
                 <Route path="/" component={AppRoot}>
                     <IndexRoute component={IndexPage}/>
+                    <Route path="matrix" component={MatrixPage} {...this.props.state}/>
                     <Route path="*" component={IndexPage} {...this.props.state}/>
                 </Route>
             </Router>
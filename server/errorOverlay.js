@@ -0,0 +1,92 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const errors = require('./koa-hbs/errors');
+
+const titles = {
+    syntax: 'Template syntax error',
+    partial: 'Partial error',
+    layout: 'Layout error',
+    data: 'Data error',
+    helper: 'Helper error',
+    lookup: 'Undefined lookup',
+    template: 'Render error'
+};
+
+const escapeHtml = (str) => String(str == null ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * lines around the error line, with the line and column marked
+ * @param  {String} file   full url of file
+ * @param  {Number} line   line number, from 1
+ * @param  {Number} column column, from 0
+ * @return {String}        html, or '' if file cant be read
+ */
+const genCodeFrame = (file, line, column) => {
+    let lines;
+    try {
+        lines = fs.readFileSync(file, 'utf8').split('\n');
+    } catch (err) {
+        return '';
+    }
+    const start = Math.max(line - 4, 0);
+    const end = Math.min(line + 3, lines.length);
+    const width = String(end).length;
+    return lines.slice(start, end).map((content, i) => {
+        const num = start + i + 1;
+        const gutter = `${num === line ? '>' : ' '} ${String(num).padStart(width)} | `;
+        let html = `<span class="${num === line ? 'error-line' : ''}">${escapeHtml(gutter + content)}</span>`;
+        if (num === line && column != null) {
+            html += `\n<span class="error-column">${' '.repeat(gutter.length + column)}^</span>`;
+        }
+        return html;
+    }).join('\n');
+};
+
+/**
+ * generate html of error overlay
+ * @param  {Object} err     error thrown when rendering, RenderError mostly
+ * @param  {Object} options {root: root dir of templates, url: url to retry}
+ * @return {String}         html
+ */
+module.exports = (err, options) => {
+    options = options || {};
+    const readable = (url) => url && options.root ? path.relative(options.root, url) : url;
+    const location = errors.location(err, options.root);
+    const codeFrame = err.file && err.line ? genCodeFrame(err.file, err.line, err.column) : '';
+    const chain = err.chain && err.chain.length > 1 ? err.chain : null;
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(titles[err.type] || 'Error')}</title>
+    <style>
+        body { margin: 0; padding: 32px; background: #222; color: #e8e8e8; font: 14px/1.6 Menlo, Consolas, monospace; }
+        h1 { margin: 0 0 8px; color: #ff5555; font-size: 18px; }
+        .message { margin: 0 0 16px; white-space: pre-wrap; }
+        .location { color: #8be9fd; }
+        pre { padding: 16px; background: #111; overflow: auto; }
+        .error-line { color: #fff; background: #4a1c1c; }
+        .error-column { color: #ff5555; }
+        ol { padding-left: 24px; }
+        a { color: #50fa7b; }
+        details { color: #999; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(titles[err.type] || 'Error')}</h1>
+    <p class="message">${escapeHtml(err.message)}</p>
+    ${location ? `<p class="location">${escapeHtml(location)}</p>` : ''}
+    ${codeFrame ? `<pre>${codeFrame}</pre>` : ''}
+    ${chain ? `<p>Included from:</p><ol>${chain.map(v => `<li>${escapeHtml(readable(v))}</li>`).join('')}</ol>` : ''}
+    ${err.helperFile ? `<p>Helper <code>${escapeHtml(err.helper)}</code> is defined in ${escapeHtml(readable(err.helperFile))}</p>` : ''}
+    <p><a href="${escapeHtml(options.url || '')}">Retry</a> (the page reloads itself when files change)</p>
+    <details><summary>Stack</summary><pre>${escapeHtml(err.stack)}</pre></details>
+</body>
+</html>`;
+};
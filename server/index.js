@@ -6,13 +6,23 @@ const logger = require('koa-logger');
 const serve = require('koa-static');
 const mount = require('koa-mount');
 const hbs = require('./koa-hbs/index.js');
+const livereload = require('./livereload');
+const errorOverlay = require('./errorOverlay');
+const errors = require('./koa-hbs/errors');
 const config = require('../config');
 
 const app = new Koa();
+const hbsMiddleware = hbs(config.hbs);
+
+// caches of changed files are dropped whether live reload is enabled or not
+const watcher = livereload.watch(hbsMiddleware.hbs, config.liveReload);
 
 app.use(logger());
+if (config.liveReload.enable) {
+    app.use(livereload(watcher, config.liveReload));
+}
 // attach ctx.render
-app.use(hbs(config.hbs));
+app.use(hbsMiddleware);
 
 app.use(serve(config.staticRoot, {
     defer: true,
@@ -35,16 +45,35 @@ app.use(mount('/viewer', (ctx, next) => {
             if (dir.slice(-1)[0] === '/') {
                 dir = dir.slice(0, -1);
             }
-            ctx.body = ctx.body.replace(/<\/head>/, `<script src="${dir}/components.js"><\/script></head>`);
+            // data scenarios of the page, listed by the viewer
+            const scenarios = JSON.stringify({
+                list: ctx.state.scenarios || [],
+                current: ctx.query.__scenario__ || ''
+            }).replace(/</g, '\\u003c');
+            ctx.body = ctx.body.replace(/<\/head>/, `<script src="${dir}/components.js"><\/script>` +
+                `<script>window.__scenarios__ = ${scenarios};<\/script></head>`);
         }
     });
 }));
 app.use(mount('/components', (ctx, next) => {
+    // `/components/` lists components maps of all projects, used by the matrix page of the viewer
+    if (ctx.path === '/' && (ctx.method === 'GET' || ctx.method === 'HEAD')) {
+        return hbsMiddleware.hbs.loadComponentsMaps().then(maps => {
+            ctx.body = maps;
+        }, err => {
+            ctx.status = 500;
+            ctx.body = errors.format(err, config.hbs.root);
+        });
+    }
     return renderComponent(ctx, next) || next();
 }));
 app.use(mount('/s', (ctx, next) => {
     return serveViewer(ctx, next);
 }));
+// matrix of all components and states, a page of the viewer
+app.use(mount('/matrix', (ctx, next) => {
+    return serveViewer(ctx, next);
+}));
 
 const isRequestHtml = (ctx) => {
     return ctx.accepts('html');
@@ -56,9 +85,21 @@ const renderView = (ctx, next) => {
     if (extname && extname !== config.hbs.extname) return;
 
     return ctx.render(ctx.path).then(() => {
+        const missing = ctx.state.missingKeys || [];
+        if (missing.length) {
+            console.log(`missing translations (${ctx.state.locale}) of ${ctx.originalUrl}: ${missing.join(', ')}`);
+        }
         return next();
     }).catch(err => {
         config.hbs.onerror(err, ctx, next);
+        // view not found, leave it to others (like the viewer)
+        if (err.code === 'ENOENT' && !(err instanceof errors.RenderError)) return;
+        ctx.status = 500;
+        ctx.type = 'html';
+        ctx.body = errorOverlay(err, {
+            root: config.hbs.root,
+            url: ctx.originalUrl
+        });
     });
 };
 const renderComponent = (ctx, next) => {
@@ -0,0 +1,238 @@
+'use strict';
+
+const path = require('path');
+const glob = require('glob-all');
+const util = require('./util');
+
+// schema of component.json, fields not listed are allowed (like `author`, `pageNumber`)
+// and fields starting with `_` are generated by tools.
+const schema = {
+    name: {
+        type: 'string',
+        required: true
+    },
+    author: {
+        type: 'string'
+    },
+    // d: dynamic, `template` is the container including the current state;
+    // s: static, each state is a complete template
+    type: {
+        type: 'string',
+        enum: ['d', 's'],
+        required: true
+    },
+    template: {
+        type: 'string'
+    },
+    states: {
+        type: 'object',
+        required: true
+    },
+    _key: {
+        type: 'string'
+    },
+    _state: {
+        type: 'string'
+    },
+    _stateFile: {
+        type: 'string'
+    },
+    _id: {
+        type: 'string'
+    },
+    configFile: {
+        type: 'string'
+    }
+};
+
+const stateSchema = {
+    file: {
+        type: 'string',
+        required: true
+    },
+    name: {
+        type: 'string',
+        required: true
+    },
+    // data of the state, inline object or data file relative to component.json
+    data: {
+        type: ['object', 'string', 'null']
+    }
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+};
+
+const checkFields = (obj, rules, prefix, messages) => {
+    Object.keys(rules).forEach(key => {
+        const rule = rules[key];
+        const value = obj[key];
+        const field = prefix + key;
+        if (value === undefined) {
+            if (rule.required) messages.push(`"${field}" is required`);
+            return;
+        }
+        const types = [].concat(rule.type);
+        if (types.indexOf(typeOf(value)) === -1) {
+            messages.push(`"${field}" should be ${types.join(' or ')}, got ${typeOf(value)}`);
+        } else if (rule.enum && rule.enum.indexOf(value) === -1) {
+            messages.push(`"${field}" should be one of ${rule.enum.map(v => `"${v}"`).join(', ')}, got "${value}"`);
+        }
+    });
+};
+
+/**
+ * validate content of component.json against the schema
+ * @param  {Object} component parsed component.json
+ * @return {Array}            error messages, empty if valid
+ */
+const validate = (component) => {
+    const messages = [];
+    if (typeOf(component) !== 'object') {
+        return [`component.json should be an object, got ${typeOf(component)}`];
+    }
+    checkFields(component, schema, '', messages);
+    if (component.type === 'd' && component.template === undefined) {
+        messages.push('"template" is required when "type" is "d"');
+    }
+    const states = component.states;
+    if (typeOf(states) !== 'object') return messages;
+    const stateNames = Object.keys(states);
+    if (!stateNames.length) {
+        messages.push('"states" should have at least one state');
+        return messages;
+    }
+    stateNames.forEach(stateName => {
+        const state = states[stateName];
+        if (typeOf(state) !== 'object') {
+            messages.push(`"states.${stateName}" should be object, got ${typeOf(state)}`);
+            return;
+        }
+        checkFields(state, stateSchema, `states.${stateName}.`, messages);
+    });
+    const current = component._state || 'default';
+    if (typeof current === 'string' && !states[current]) {
+        messages.push(component._state ? `"_state" is "${current}", which is not in "states"` :
+            '"states.default" is required when "_state" is not set');
+    }
+    return messages;
+};
+
+/**
+ * stable key of component, derived from project and component dir,
+ * so it's the same whoever and whenever generates it
+ * @param  {String} dir component dir relative to root, like `book/partials/components/passenger`
+ * @return {String}     key, like `_component_9f86d081884c7d65`
+ */
+const genKey = (dir) => '_component_' + util.hash(dir.split(path.sep).join('/')).slice(0, 16);
+
+/**
+ * component with generated fields, the source component.json is never changed:
+ * `_id` (dir name), `_key` (key in component.json is kept, so old pages still work),
+ * `_state` (defaults to `default`), `_stateFile` (file of `_state`) and `configFile`.
+ * @param  {Object} component  parsed component.json
+ * @param  {String} configFile url of component.json relative to root
+ * @return {Object}            new object with generated fields
+ */
+const normalize = (component, configFile) => {
+    const dir = path.dirname(configFile);
+    const res = Object.assign({}, component);
+    const state = res.states && res.states[res._state || 'default'];
+    res._id = res._id || path.basename(dir);
+    res._key = res._key || genKey(dir);
+    res._state = res._state || 'default';
+    res._stateFile = state && state.file || res._stateFile;
+    res.configFile = configFile.split(path.sep).join('/');
+    return res;
+};
+
+/**
+ * state which the template file belongs to
+ * @param  {Object} component component with generated fields
+ * @param  {String} file      template file relative to component dir, like `error.html`
+ * @return {String}           state name, or `_state` if file is not of any state (like the container)
+ */
+const stateOf = (component, file) => {
+    const name = file.slice(0, -path.extname(file).length);
+    const states = component.states || {};
+    const res = Object.keys(states).filter(key => states[key].file === file || states[key].file === name)[0];
+    return res || component._state;
+};
+
+/**
+ * project which component.json belongs to
+ * @param  {String} file           url of component.json relative to root
+ * @param  {Function} isProjectGroup whether top dir is project group
+ * @return {String}                project name, like `book` or `group/test`
+ */
+const projectOf = (file, isProjectGroup) => {
+    const parts = file.split(path.sep);
+    return isProjectGroup(parts[0], file) ? parts.slice(0, 2).join(path.sep) : parts[0];
+};
+
+/**
+ * list component.json files
+ * @param  {String} root    root dir
+ * @param  {String} project only files of the project, or all projects if not set
+ * @return {Promise}        promise with urls relative to root
+ */
+const list = (root, project) => {
+    return new Promise((resolve, reject) => {
+        glob([path.join(project || '', '**/component.json'), '!**/node_modules/**/*.*'], {
+            cwd: root
+        }, (err, files) => err ? reject(err) : resolve(files.map(path.normalize)));
+    });
+};
+
+/**
+ * generate components map of each project
+ * @param  {Array} files           urls of component.json relative to root
+ * @param  {Array} components      parsed component.json, same order as files
+ * @param  {Function} isProjectGroup whether top dir is project group
+ * @return {Object}                project name --> {project, __files__, components, keyComponentMap}
+ */
+const genMaps = (files, components, isProjectGroup) => {
+    const maps = {};
+    files.forEach((file, i) => {
+        const projectName = projectOf(file, isProjectGroup);
+        // generated fields only go to the map, component.json is never rewritten
+        const c = normalize(components[i], file);
+        // components are named by dir
+        const id = path.basename(path.dirname(file));
+        const map = maps[projectName] || (maps[projectName] = {
+            project: projectName,
+            __files__: [],
+            components: {},
+            // convenient for browser side usage
+            keyComponentMap: {}
+        });
+        map.__files__.push(file);
+        map.components[id] = c;
+        map.keyComponentMap[c._key] = id;
+    });
+    return maps;
+};
+
+// content of `<project>/components.js`, works as commonjs module and browser script
+const genMapFile = (map) => `(function(root, content) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = content;
+    } else {
+        root.__components__ = content;
+    }
+})(this, ${JSON.stringify(map, null, '\t')})`;
+
+module.exports = {
+    schema,
+    stateSchema,
+    validate,
+    genKey,
+    normalize,
+    stateOf,
+    projectOf,
+    list,
+    genMaps,
+    genMapFile
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+const path = require('path');
+const util = require('./util');
+
+const rCssUrl = /(url\(\s*)(["']?)([^"')]+)\2(\s*\))/g;
+const rAbsoluteUrl = /^(?:[a-z][a-z\d+\-.]*:|\/|#)/i;
+const rHoisted = /^@(charset|import)\b/i;
+const rString = /("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')/;
+
+/**
+ * split css to top level rules, like `a {}`, `@media screen {...}` and `@import url(x.css);`.
+ * comments are dropped.
+ * @param  {String} css css content
+ * @return {Array}      rules
+ */
+const splitRules = (css) => {
+    const rules = [];
+    let depth = 0;
+    let start = 0;
+    let quote = null;
+    css = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    for (let i = 0; i < css.length; i++) {
+        let ch = css[i];
+        if (quote) {
+            if (ch === '\\') {
+                i++;
+            } else if (ch === quote) {
+                quote = null;
+            }
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === '{') {
+            depth++;
+        } else if ((ch === '}' && --depth === 0) || (ch === ';' && depth === 0)) {
+            rules.push(css.slice(start, i + 1).trim());
+            start = i + 1;
+        }
+    }
+    rules.push(css.slice(start).trim());
+    return rules.filter(v => v);
+};
+
+/**
+ * make relative `url()` in css (located at fromDir) relative to toDir
+ * @param  {String} css     css content
+ * @param  {String} fromDir dir of the css file, like `/book/partials/components/passenger`
+ * @param  {String} toDir   dir where the css will be used, like `/shared/static/styles`
+ * @return {String}         css content
+ */
+const rewriteUrls = (css, fromDir, toDir) => {
+    return css.replace(rCssUrl, (all, start, quote, url, end) => {
+        if (rAbsoluteUrl.test(url)) return all;
+        const target = path.posix.join(fromDir, url);
+        return start + quote + path.posix.relative(toDir, target) + quote + end;
+    });
+};
+
+/**
+ * bundle css files, duplicate rules are removed and source order is kept
+ * @param  {Array} files  css urls (relative to root), like `/book/static/styles/book.css`
+ * @param  {String} root  root dir
+ * @param  {String} toDir dir of the bundle url
+ * @param  {Function} read (full url) => css content, reads the file by default (sass should be compiled)
+ * @return {String}       bundled css
+ */
+const bundle = (files, root, toDir, read) => {
+    read = read || (url => util.readSync(url, 'utf8'));
+    const seen = {};
+    const hoisted = [];
+    const rules = [];
+    files.forEach(file => {
+        let content = read(path.join(root, file));
+        content = rewriteUrls(content, path.posix.dirname(file), toDir);
+        splitRules(content).forEach(rule => {
+            const key = rule.replace(/\s+/g, ' ');
+            if (seen[key]) return;
+            seen[key] = true;
+            (rHoisted.test(rule) ? hoisted : rules).push(rule);
+        });
+    });
+    return hoisted.concat(rules).join('\n');
+};
+
+/**
+ * minify css: drop comments and whitespace not needed, strings are kept as is
+ * @param  {String} css css content
+ * @return {String}     minified css
+ */
+const minify = (css) => {
+    return css.replace(/\/\*[\s\S]*?\*\//g, '').split(rString).map((part, i) => {
+        // odd parts are strings
+        if (i % 2) return part;
+        return part.replace(/\s+/g, ' ')
+            .replace(/\s*([{};,>])\s*/g, '$1')
+            .replace(/:\s+/g, ':')
+            .replace(/;}/g, '}');
+    }).join('').trim();
+};
+
+module.exports = {
+    splitRules,
+    rewriteUrls,
+    bundle,
+    minify
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+const path = require('path');
+
+// errors of rendering are located to the file (view, layout, partial, helper or data)
+// and the line, so the dev server could show where it's wrong.
+class RenderError extends Error {
+    /**
+     * @param {String} message error message
+     * @param {Object} info    {type, file, line, column, helper, original}
+     *                         type: syntax|partial|layout|data|helper|lookup|template
+     */
+    constructor(message, info) {
+        super(message);
+        info = info || {};
+        this.name = 'RenderError';
+        this.type = info.type || 'template';
+        this.file = info.file;
+        this.line = info.line;
+        this.column = info.column;
+        this.helper = info.helper;
+        this.original = info.original;
+        // files from the view to the failing file, like [view, partial, partial]
+        this.chain = info.file ? [info.file] : [];
+        if (this.original && this.original.stack) {
+            this.stack = `${this.name}: ${message}\n${this.original.stack}`;
+        }
+    }
+    /**
+     * record the file including the failing one
+     * @param  {String} url full url of file
+     * @return {Object}     the error
+     */
+    includedFrom(url) {
+        if (url && this.chain[0] !== url) this.chain.unshift(url);
+        return this;
+    }
+}
+
+/**
+ * location of error, like `book/index.html:3:5`
+ * @param  {Object} err  RenderError
+ * @param  {String} root root dir, file is relative to it
+ * @return {String}      location, or '' if unknown
+ */
+const location = (err, root) => {
+    if (!err.file) return '';
+    return (root ? path.relative(root, err.file) : err.file) +
+        (err.line ? `:${err.line}` + (err.column != null ? `:${err.column + 1}` : '') : '');
+};
+
+/**
+ * format error as one line for console, like `book/index.html:3:5 lookup: "name" is not defined`
+ * @param  {Object} err  error
+ * @param  {String} root root dir
+ * @return {String}      formatted error
+ */
+const format = (err, root) => {
+    const loc = location(err, root);
+    return (loc ? loc + ' ' : '') + `${err.type || 'error'}: ${err.message}`;
+};
+
+const locOf = (loc) => loc && loc.start ? {
+    line: loc.start.line,
+    column: loc.start.column
+} : {};
+
+/**
+ * error of parsing template
+ * @param  {Object} err    error thrown by handlebars
+ * @param  {String} file   full url of template
+ * @param  {Function} locate maps {line, column} of the template content to the file (like after yaml header)
+ * @return {Object}        RenderError
+ */
+const syntaxError = (err, file, locate) => {
+    // `Parse error on line 3: ...` or exception with lineNumber
+    const res = /^Parse error on line (\d+)/.exec(err.message);
+    const line = err.lineNumber || (res && +res[1]);
+    const loc = line && locate ? locate({
+        line,
+        column: err.column
+    }) : {
+        line,
+        column: err.column
+    };
+    return new RenderError(err.message, {
+        type: 'syntax',
+        file,
+        line: loc.line,
+        column: loc.column,
+        original: err
+    });
+};
+
+/**
+ * error of data file, like json syntax error
+ * @param  {Object} err     error thrown
+ * @param  {String} file    full url of data file
+ * @param  {String} content content of data file
+ * @return {Object}         RenderError
+ */
+const dataError = (err, file, content) => {
+    const info = {
+        type: 'data',
+        file,
+        original: err
+    };
+    const res = /at position (\d+)/.exec(err.message);
+    if (res && content) {
+        const lines = content.slice(0, +res[1]).split('\n');
+        info.line = lines.length;
+        info.column = lines[lines.length - 1].length;
+    }
+    return new RenderError(err.message, info);
+};
+
+/**
+ * wrap helper, so exceptions thrown by it are located to where the helper is used
+ * @param  {String} name helper name
+ * @param  {Function} fn helper
+ * @return {Function}    wrapped helper
+ */
+const wrapHelper = (name, fn) => {
+    if (typeof fn !== 'function') return fn;
+    return function() {
+        try {
+            return fn.apply(this, arguments);
+        } catch (err) {
+            if (err instanceof RenderError) throw err;
+            const options = arguments[arguments.length - 1];
+            throw new RenderError(`helper "${name}" threw: ${err.message}`, Object.assign({
+                type: 'helper',
+                helper: name,
+                original: err
+            }, locOf(options && options.loc)));
+        }
+    };
+};
+
+module.exports = {
+    RenderError,
+    location,
+    format,
+    locOf,
+    syntaxError,
+    dataError,
+    wrapHelper
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+// The DepGraph records which files a file depends on,
+// view --> layout --> partials --> helpers --> data/component.json,
+// so when a file changed, we know exactly which files are affected.
+class DepGraph {
+    constructor() {
+        // url --> Set of urls it depends on
+        this.deps = {};
+        // url --> Set of urls depending on it
+        this.dependents = {};
+    }
+    /**
+     * record that `from` depends on `to`
+     * @param {String} from url of the dependent file
+     * @param {String} to   url of the dependency
+     */
+    add(from, to) {
+        if (!from || !to || from === to) return;
+        (this.deps[from] || (this.deps[from] = new Set())).add(to);
+        (this.dependents[to] || (this.dependents[to] = new Set())).add(from);
+    }
+    /**
+     * remove all dependencies of url, they will be recorded again when url is compiled
+     * @param  {String} url url of file
+     */
+    clear(url) {
+        const deps = this.deps[url];
+        if (!deps) return;
+        deps.forEach(dep => this.dependents[dep] && this.dependents[dep].delete(url));
+        delete this.deps[url];
+    }
+    /**
+     * all files url depends on, directly or indirectly
+     * @param  {String} url url of file
+     * @return {Array}      urls, not include url itself
+     */
+    dependenciesOf(url) {
+        return walk(this.deps, url);
+    }
+    /**
+     * all files depending on url, directly or indirectly
+     * @param  {String} url url of file
+     * @return {Array}      urls, not include url itself
+     */
+    dependentsOf(url) {
+        return walk(this.dependents, url);
+    }
+}
+
+const walk = (map, url) => {
+    const visited = new Set([url]);
+    const queue = [url];
+    let current;
+    while ((current = queue.shift()) != null) {
+        map[current] && map[current].forEach(next => {
+            if (visited.has(next)) return;
+            visited.add(next);
+            queue.push(next);
+        });
+    }
+    visited.delete(url);
+    return Array.from(visited);
+};
+
+module.exports = DepGraph;
@@ -0,0 +1,63 @@
+'use strict';
+
+const path = require('path');
+const Hbs = require('./hbs');
+const KoaHbs = require('./index');
+
+/**
+ * test harness on top of Hbs, renders template strings and partials of a project
+ * without the server, so helpers and partials could be unit tested with fixture data.
+ * Partial info comments are not generated, same as the static build.
+ * @param  {Object} options hbs options (like config.hbs), or an Hbs instance
+ * @return {Object}         {hbs, renderString, renderPartial}
+ */
+const createHarness = (options) => {
+    const hbs = options instanceof Hbs ? options : new Hbs(options);
+    const root = hbs.options.root;
+    hbs._genPartialComment = () => null;
+
+    /**
+     * render template string as if it's a view of the project
+     * @param  {String} template template content
+     * @param  {Object} data     template data
+     * @param  {Object} opts     {project: like `book` or `group/test`, shared by default;
+     *                           view: view name, relative partials are resolved to it, `__string__` by default}
+     * @return {Promise}         promise with html
+     */
+    const renderString = (template, data, opts) => {
+        opts = opts || {};
+        data = data || {};
+        const projectName = path.normalize(opts.project || hbs.options.shared);
+        const viewName = opts.view || '__string__';
+        return KoaHbs.loadConfig(projectName, hbs.options, hbs.cache).then(config => {
+            const state = {
+                projectName,
+                viewName,
+                viewUrl: path.join(root, projectName, viewName + (config.extname || hbs.options.extname)),
+                config
+            };
+            const context = hbs.createContext(state, data);
+            if (!data.__css__) data.__css__ = [];
+            return hbs.compile(template, false, state.viewUrl, context).then(fn => {
+                return hbs.genHtml(fn, data, hbs.cache.__default_layout__.compiled, context);
+            });
+        });
+    };
+
+    /**
+     * render partial of the project, resolved like `{{> name}}` in a view
+     * @param  {String} name partial name, like `footer`, `shared:header` or `components/passenger/index`
+     * @param  {Object} data template data
+     * @param  {Object} opts same as renderString
+     * @return {Promise}     promise with html
+     */
+    const renderPartial = (name, data, opts) => renderString(`{{> ${name}}}`, data, opts);
+
+    return {
+        hbs,
+        renderString,
+        renderPartial
+    };
+};
+
+module.exports = createHarness;
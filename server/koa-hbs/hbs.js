@@ -5,8 +5,18 @@ const Handlebars = require('handlebars');
 const debug = require('debug')('khbs');
 
 const initCoreHelpers = require('./helpers');
+const initPreprocessors = require('./preprocessors');
 const setting = require('./setting');
 const Scanner = require('./scanner.js');
+const css = require('./css');
+const style = require('./style');
+const script = require('./script');
+const i18n = require('./i18n');
+const site = require('./site');
+const paginate = require('./paginate');
+const DepGraph = require('./graph');
+const errors = require('./errors');
+const component = require('./component');
 const util = require('./util');
 const relativePathRe = new RegExp('^\\.{1,2}');
 const sharedPathRe = util.sharedPathRe;
@@ -17,7 +27,8 @@ const rMagicUrl = /__[^_\s\W]+(_[^_\s\W]+)*__/;
 
 class Hbs {
     constructor(opts) {
-        let options = this.options = util.merge({}, Hbs.defaults, opts);
+        // nested defaults like `script` are cloned, options merged into them don't change the defaults
+        let options = this.options = util.merge(util.clone(Hbs.defaults), opts);
         options.layout = options.layout || options.view;
         this.scanner = new Scanner();
         this.handlebars = Handlebars.create();
@@ -30,21 +41,32 @@ class Hbs {
             }
         };
         this.dynamicPartials = [];
+        // dependencies between files, used to invalidate cache
+        this.graph = new DepGraph();
+        // helper file url --> names of helpers it registered on the instance (core and preinstalled helpers),
+        // helpers of projects are installed to the render context instead
+        this.helperFiles = {};
+        // css bundle url (generated by csso) --> {files: css files imported via cssx, content}
+        this.cssBundles = {};
+        // page scripts are bundled by it, kept in memory
+        this.scripts = new script.ScriptBundler(Object.assign({
+            root: options.root
+        }, options.script));
+        // extname --> function turning the content to handlebars html
+        this.preprocessors = {};
         initCoreHelpers(this);
+        initPreprocessors(this);
         // preinstall preInstalledHelpers
         options.preInstalledHelper && this.installHelper(options.preInstalledHelper);
     }
     parse(input) {
         const scanner = this.scanner;
-        const disableCache = this.options.disableCache;
         let ast = this.handlebars.parse(input);
         scanner.accept(ast);
-        let partials = scanner.partials.filter((v) => {
-            return disableCache || !this.handlebars.partials[v.name];
-        });
-        let helpers = scanner.helpers.filter((v) => {
-            return !this.handlebars.helpers[v.name];
-        });
+        // partials are registered by name (could be same name in different projects),
+        // so always install them, and filter helpers when installing.
+        let partials = scanner.partials;
+        let helpers = scanner.helpers;
         scanner.reset();
         return {
             ast,
@@ -52,8 +74,15 @@ class Hbs {
             helpers
         };
     }
-    registerHelper() {
-        return this.handlebars.registerHelper.apply(this.handlebars, arguments);
+    registerHelper(name, fn) {
+        // exceptions thrown by helpers are located to where the helper is used
+        if (typeof name !== 'string') {
+            for (let key in name) {
+                this.registerHelper(key, name[key]);
+            }
+            return;
+        }
+        return this.handlebars.registerHelper(name, errors.wrapHelper(name, fn));
     }
     unregisterHelper(name) {
         return this.handlebars.unregisterHelper(name);
@@ -64,9 +93,48 @@ class Hbs {
     unregisterPartial(name) {
         return this.handlebars.unregisterPartial(name);
     }
+    /**
+     * register preprocessor for views and partials with the extname
+     * @param  {String} extname like `.md`
+     * @param  {Function} fn    (content, url) => handlebars html, or {content: handlebars html,
+     *                            locate: (line, column) => {line, column} in content before preprocessed}
+     */
+    registerPreprocessor(extname, fn) {
+        this.preprocessors[extname] = fn;
+    }
     readableUrl(url) {
         return url && path.relative(this.options.root, url);
     }
+    /**
+     * create render context. Everything belongs to one render is stored here
+     * instead of the (shared) instance, so renders could run in parallel.
+     * @param  {Object} state current state corresponding to the view url,
+     *                        including projectName, viewName, viewUrl, config. etc.
+     * @param  {Object} data  template data
+     * @return {Object}       context
+     */
+    createContext(state, data) {
+        return {
+            state,
+            data,
+            // partials installed for this render, passed to template function
+            partials: {},
+            // helpers of the project installed for this render, passed to template function,
+            // so helpers of the same name in other projects don't collide
+            helpers: {},
+            // helper name --> full url of the helper file, used to locate errors
+            helperFiles: {},
+            // partial name --> {url, lineOffset}, used to locate errors
+            partialFiles: {},
+            // partial name --> data of the component state, only seen by the partial
+            partialData: {},
+            layoutUrl: null,
+            // a flag to not load component.json of partials, a way to use exist data
+            disableLoadPartialData: false,
+            // names of data scenarios available for the view
+            scenarios: []
+        };
+    }
     /**
      * resolve path
      * @param  {String} name    file name, maybe without extname, maybe with dir
@@ -77,9 +145,10 @@ class Hbs {
      * @param  {String} type    partial|layout|data
      * @param  {String} ext     extname, if omitted, use this.options.extname
      * @param  {String} baseUrl base url
+     * @param  {Object} context render context
      * @return {String}         absolute url
      */
-    resolvePath(name, type, ext, baseUrl) {
+    resolvePath(name, type, ext, baseUrl, context) {
         if (rMagicUrl.test(name)) return name;
         const isRelative = relativePathRe.test(name);
         // cross os compatiable
@@ -90,11 +159,13 @@ class Hbs {
         if (path.isAbsolute(name)) {
             return name;
         }
-        let projectName = this.currentState ? this.currentState.projectName : '';
+        const state = context && context.state;
+        let projectName = state ? state.projectName : '';
         let result;
         if (isRelative) {
+            // relative to the file including it, or the dir of the view (`viewName` is like `sub/page`)
             result = baseUrl ? path.resolve(path.dirname(baseUrl), name) : path.resolve(this.options.root, projectName,
-                this.currentState.viewName, name);
+                path.dirname(state.viewName), name);
         } else {
             let typeDir;
             if (sharedPathRe.test(name)) {
@@ -102,7 +173,7 @@ class Hbs {
                 projectName = this.options.shared;
                 typeDir = type && this.options[type];
             } else {
-                typeDir = type && this.getOption(type);
+                typeDir = type && this.getOption(type, context);
             }
             result = path.join(this.options.root, projectName,
                 typeDir || '', name);
@@ -112,78 +183,406 @@ class Hbs {
     _genPartialComment() {
         return genPartialInfoComment.apply(this, arguments);
     }
-    installDynamicPartial(dynamic, hash, baseUrl) {
+    installDynamicPartial(dynamic, hash, baseUrl, context) {
         debug('installDynamicPartial, dynamic partial info is %o', dynamic);
-        return this.installPartial(this.handlebars.helpers[dynamic.name](util.accessDeepProperty(
-            this.data, dynamic.context)), hash, baseUrl);
+        const helper = context.helpers[dynamic.name] || this.handlebars.helpers[dynamic.name];
+        return this.installPartial(helper(util.accessDeepProperty(
+            context.data, dynamic.context)), hash, baseUrl, context);
     }
-    shouldLoadPartialData(partialUrl) {
-        // add a flag to not load data, a way to use exist data
-        if (this.options.disableLoadPartialData) return Promise.resolve(null);
+    shouldLoadPartialData(partialUrl, context) {
+        if (context.disableLoadPartialData) return Promise.resolve(null);
         let partialDataUrl = partialUrl.replace(new RegExp(`${path.sep}[^${path.sep}]+\\.\\w+$`), `${path.sep}component.json`);
         debug('shouldLoadPartialData,\n\tpartialUrl is %s,\n\tpartialDataUrl is %s',
             this.readableUrl(partialUrl), this.readableUrl(partialDataUrl));
+        // component.json added later affects the partial too
+        this.graph.add(partialUrl, partialDataUrl);
         return util.exist(partialDataUrl).catch(err => {
             debug('not exist partialDataUrl');
             return null;
         });
     }
-    installPartial(name, hash, baseUrl) {
-        const url = this.resolvePath(name, 'partial', null, baseUrl);
+    installPartial(name, hash, baseUrl, context) {
+        const url = this.resolvePath(name, 'partial', null, baseUrl, context);
         debug('installPartial, url is %s', this.readableUrl(url));
-        return this.shouldLoadPartialData(url).then(partialDataUrl => {
+        this.graph.add(baseUrl, url);
+        return this.shouldLoadPartialData(url, context).then(partialDataUrl => {
                 if (partialDataUrl) {
-                    if (!this.options.disableCache && this.cache[partialDataUrl]) {
-                        return this.cache[partialDataUrl];
-                    } else {
-                        return util.read(partialDataUrl).then(json => {
-                            if (json) {
-                                let data = JSON.parse(json);
-                                this.cache[partialDataUrl] = data;
-                                util.merge(this.data, {
-                                    [`__c_${data._id || ''}__`]: data
-                                });
-                                debug('read partialData, %o', data);
-                            }
+                    return this.loadData(partialDataUrl).then(data => {
+                        data = component.normalize(data, this.readableUrl(partialDataUrl));
+                        util.merge(context.data, {
+                            [`__c_${data._id}__`]: data
                         });
-                    }
+                        debug('read partialData, %o', data);
+                        const stateName = component.stateOf(data, path.relative(path.dirname(partialDataUrl), url));
+                        return this.loadStateData(data, stateName, context);
+                    }).then(stateData => {
+                        context.partialData[name] = stateData;
+                    });
                 }
             }).then(() => {
-                return util.read(url);
-            }).then(content => {
+                return this.load(url);
+            }).then(entry => {
                 // check params and dispaly partial info with comment
                 const comment = this._genPartialComment(name, url, hash, baseUrl,
-                    this.currentState.viewUrl, this.options.root);
-                this.registerPartial(name, !comment ? content :
-                    (comment.start + content + comment.end));
-                return this.compile(content, true, url);
+                    context.state.viewUrl, this.options.root);
+                context.partials[name] = this.compilePartial(entry, name, comment, context);
+                context.partialFiles[name] = {
+                    url,
+                    // lines of the info comment before the content
+                    lineOffset: comment ? -comment.start.split('\n').length + 1 : 0
+                };
+                return this.compile(this.parseEntry(entry, url), true, url, context);
             });
     }
-    installHelper(name, baseUrl) {
+    /**
+     * data of component state, `data` of the state in component.json could be inline data,
+     * or name of data file like page data (relative to component.json if starts with `./`)
+     * @param  {Object} c         component with generated fields
+     * @param  {String} stateName state name
+     * @param  {Object} context   render context
+     * @return {Promise}          promise with data (a copy), `{}` if the state has no data
+     */
+    loadStateData(c, stateName, context) {
+        const state = c.states && c.states[stateName];
+        const data = state && state.data;
+        if (typeof data === 'string') {
+            return this.loadData(data, path.join(this.options.root, c.configFile), context);
+        }
+        return Promise.resolve(data ? util.clone(data) : {});
+    }
+    /**
+     * compile partial to render function, compiled only once for same templateOptions and comment
+     * @param  {Object} entry   cache entry of partial
+     * @param  {String} name    partial name
+     * @param  {Object} comment partial info comment, {start, end} or null
+     * @param  {Object} context render context
+     * @return {Function}       partial function
+     */
+    compilePartial(entry, name, comment, context) {
+        const compileOptions = this.compileOptions(context);
+        const key = JSON.stringify(compileOptions || {}) + (comment ? comment.start : '');
+        const compiled = entry.compiledPartial || (entry.compiledPartial = {});
+        const fn = compiled[key] || (compiled[key] = this.handlebars.compile(!comment ? entry.content :
+            (comment.start + entry.content + comment.end), compileOptions));
+        return (data, options) => {
+            const stateData = context.partialData[name];
+            // data passed to the partial wins, state data is mock for what it doesn't provide
+            if (stateData && util.isObject(data)) data = util.merge(util.clone(stateData), data);
+            try {
+                return fn(data, options);
+            } catch (err) {
+                // record partials the error is thrown from, to locate the error
+                (err.partials || (err.partials = [])).unshift(name);
+                throw err;
+            }
+        };
+    }
+    /**
+     * install helpers of the file, to the render context if given, or to the instance
+     * @param  {String} name    helper name, or url of the helper file
+     * @param  {String} baseUrl full url of the file using the helper
+     * @param  {Object} context render context
+     */
+    installHelper(name, baseUrl, context) {
         debug('installHelper, name is %s, baseUrl is %s', name, baseUrl);
         try {
-            const helpers = require(this.resolvePath(name, 'helper', '.js', baseUrl));
-            return this.registerHelper(helpers);
+            const url = this.resolvePath(name, 'helper', '.js', baseUrl, context);
+            const helpers = require(url);
+            this.graph.add(baseUrl, url);
+            if (!context) {
+                this.helperFiles[url] = Object.keys(helpers);
+                return this.registerHelper(helpers);
+            }
+            for (let key in helpers) {
+                context.helpers[key] = errors.wrapHelper(key, helpers[key]);
+                context.helperFiles[key] = url;
+            }
         } catch(err) {
-            console.log(err.stack);
+            if (!this.options.strict) return console.log(err.stack);
+            throw new errors.RenderError(`helper "${name}" not found: ${err.message}`, {
+                type: 'helper',
+                helper: name,
+                original: err
+            });
         }
     }
-    loadData(name, baseUrl) {
-        const url = this.resolvePath(name, 'data', '.json', baseUrl);
+    /**
+     * error located at the node of template
+     * @param  {String} message error message
+     * @param  {Object} info    error info, like {type, original}
+     * @param  {Object} node    ast node
+     * @param  {String} url     full url of template
+     * @return {Object}         RenderError
+     */
+    nodeError(message, info, node, url) {
+        const loc = this.locate(this.cache[url], errors.locOf(node && node.loc));
+        return new errors.RenderError(message, Object.assign({
+            file: url,
+            line: loc.line,
+            column: loc.column
+        }, info));
+    }
+    /**
+     * location in the file of the location in content of the cache entry,
+     * after the yaml header and before preprocessed
+     * @param  {Object} entry cache entry
+     * @param  {Object} loc   {line, column} in content
+     * @return {Object}       {line, column} in file
+     */
+    locate(entry, loc) {
+        if (!loc.line || !entry) return loc;
+        const res = entry.locate ? entry.locate(loc.line, loc.column) : loc;
+        return {
+            line: res.line + (entry.lineOffset || 0),
+            column: res.column
+        };
+    }
+    /**
+     * options to compile templates, `strict` is added in strict mode
+     * @param  {Object} context render context
+     * @return {Object}         options
+     */
+    compileOptions(context) {
+        const templateOptions = this.getOption('templateOptions', context);
+        return this.options.strict ? util.merge({}, templateOptions, {
+            strict: true
+        }) : templateOptions;
+    }
+    /**
+     * bundle css files imported via cssx, the bundle is kept in memory (`this.cssBundles`)
+     * and named by content hash, so same components always get the same bundle.
+     * @param  {Array} files  css urls, relative to root
+     * @param  {String} name  bundle name, like `/shared/static/styles/components.css`
+     * @return {String}       bundle url, like `/shared/static/styles/components.3f2a1b9c.css`
+     */
+    bundleCss(files, name) {
+        name = name || this.options.cssBundle;
+        const content = css.bundle(files, this.options.root, path.posix.dirname(name),
+            url => this.loadStyle(url).css);
+        const ext = path.extname(name);
+        const url = `${name.slice(0, -ext.length)}.${util.hash(content).slice(0, 8)}${ext}`;
+        this.cssBundles[url] = {
+            files: files.slice(),
+            name,
+            content
+        };
+        return url;
+    }
+    /**
+     * bundle css files to inline in the page, the view is recorded as depending on them
+     * @param  {Array} files     css urls (relative to root)
+     * @param  {String} pageUrl  url of the page in browser, relative `url()` will resolve from it
+     * @param  {Boolean} shouldMinify whether to minify
+     * @param  {String} viewUrl  url of the view rendering the page (relative to root), like `/book/routes.md`
+     * @return {String}          css content
+     */
+    inlineCss(files, pageUrl, shouldMinify, viewUrl) {
+        if (viewUrl) {
+            files.forEach(file => this.graph.add(path.join(this.options.root, viewUrl),
+                path.join(this.options.root, file)));
+        }
+        const content = css.bundle(files, this.options.root, path.posix.dirname(pageUrl),
+            url => this.loadStyle(url).css);
+        return shouldMinify ? css.minify(content) : content;
+    }
+    /**
+     * load stylesheet, sass is compiled (with vendor prefixes) and cached until invalidated,
+     * imported files are recorded as its dependencies. It's sync, so helpers (like `csso`) could use it.
+     * @param  {String} url full url of `.css`, `.scss` or `.sass`
+     * @return {Object}     {css, map: source map (JSON string) of compiled sass, or null}
+     */
+    loadStyle(url) {
+        if (!style.isSass(url)) {
+            return {
+                css: util.readSync(url, 'utf8'),
+                map: null
+            };
+        }
+        if (!this.options.disableCache && this.cache[url]) {
+            return this.cache[url];
+        }
+        debug('compile style, url is %s', this.readableUrl(url));
+        const options = this.options.style || {};
+        const res = style.compile(url, Object.assign({}, options, {
+            includePaths: [this.options.root].concat(options.includePaths || [])
+        }));
+        res.files.forEach(file => this.graph.add(url, file));
+        this.cache[url] = {
+            css: res.css,
+            map: res.map
+        };
+        return this.cache[url];
+    }
+    /**
+     * bundle again for bundles which include the css file
+     * @param  {String} cssUrl css url, relative to root
+     * @return {Array}         list of [old bundle url, new bundle url]
+     */
+    rebuildCssBundles(cssUrl) {
+        return Object.keys(this.cssBundles).filter(url => {
+            return this.cssBundles[url].files.indexOf(cssUrl) > -1;
+        }).map(url => [url, this.bundleCss(this.cssBundles[url].files, this.cssBundles[url].name)]);
+    }
+    /**
+     * drop cache of the changed file and all files depending on it,
+     * so next render will read them again
+     * @param  {String} url full url of changed file
+     * @return {Array}      urls of invalidated files, include url itself
+     */
+    invalidate(url) {
+        const affected = [url].concat(this.graph.dependentsOf(url));
+        debug('invalidate, url is %s, affected files are %o', this.readableUrl(url),
+            affected.map(v => this.readableUrl(v)));
+        affected.forEach(v => {
+            delete this.cache[v];
+            // dependencies will be recorded again when compiled
+            this.graph.clear(v);
+        });
+        if (require.cache[url]) {
+            delete require.cache[url];
+        }
+        // component.json added or removed changes the components map too
+        if (path.basename(url) === 'component.json') {
+            const mapUrl = path.join(this.options.root, component.projectOf(this.readableUrl(url),
+                this.options.isProjectGroup), 'components.js');
+            this.cache[mapUrl] && affected.push.apply(affected, this.invalidate(mapUrl));
+        }
+        // view added, changed or removed changes pages of the site collection
+        const siteUrl = this.siteUrl();
+        if (url !== siteUrl && this.cache[siteUrl] && this.isView(url)) {
+            affected.push.apply(affected, this.invalidate(siteUrl));
+        }
+        // bundles are generated again on next request
+        if (this.scripts.has(url)) {
+            this.scripts.invalidate();
+        }
+        if (this.helperFiles[url]) {
+            this.helperFiles[url].forEach(name => this.unregisterHelper(name));
+            delete this.helperFiles[url];
+            this.installHelper(url);
+        }
+        return affected;
+    }
+    /**
+     * find the file which the helper comes from
+     * @param  {String} name    helper name
+     * @param  {Object} context render context, helpers of the project are installed there
+     * @return {String}         full url of helper file, or undefined for core helpers
+     */
+    helperUrl(name, context) {
+        if (context && context.helperFiles[name]) return context.helperFiles[name];
+        for (let url in this.helperFiles) {
+            if (this.helperFiles[url].indexOf(name) > -1) return url;
+        }
+    }
+    /**
+     * load data file
+     * @param  {String} name    file name, `.json` (default), `.yml` or `.js`.
+     *                          `.js` module exports data, or a function receiving the page state
+     *                          and returning data (or promise with data)
+     * @param  {String} baseUrl base url
+     * @param  {Object} context render context
+     * @return {Promise}        promise with data
+     */
+    loadData(name, baseUrl, context) {
+        const url = this.resolvePath(name, 'data', '.json', baseUrl, context);
+        const extname = path.extname(url);
         debug('load data, url is %s', this.readableUrl(url));
+        this.graph.add(baseUrl, url);
+        // module is cached by require, and removed from require.cache by `invalidate`
+        if (extname === '.js') {
+            return new Promise(resolve => {
+                if (this.options.disableCache) delete require.cache[url];
+                const exported = require(url);
+                resolve(typeof exported === 'function' ? exported(context && context.state) : exported);
+            }).then(util.clone, err => {
+                throw new errors.RenderError(`data module failed: ${err.message}`, {
+                    type: 'data',
+                    file: url,
+                    original: err
+                });
+            });
+        }
+        // always return a copy, data will be merged into (and changed by) template data
         if (!this.options.disableCache && this.cache[url] && this.cache[url].result) {
-            return Promise.resolve(this.cache[url].result);
+            return Promise.resolve(util.clone(this.cache[url].result));
         }
         return util.read(url)
-            .then(json => {
-                this.cache[url] = {
-                    result: JSON.parse(json)
-                };
-                return this.cache[url].result;
+            .then(content => {
+                try {
+                    this.cache[url] = {
+                        result: extname === '.yml' || extname === '.yaml' ? util.parseYaml(content) : JSON.parse(content)
+                    };
+                } catch (err) {
+                    throw errors.dataError(err, url, content);
+                }
+                return util.clone(this.cache[url].result);
+            }, err => {
+                throw new errors.RenderError(`data file not found: ${this.readableUrl(url)}`, {
+                    type: 'data',
+                    file: baseUrl,
+                    original: err
+                });
             });
     }
-    getOption(prop) {
-        return (this.currentState && this.currentState.config && this.currentState.config[prop]) || this.options[prop];
+    /**
+     * load data specified by `data` of yaml header, could be
+     * 1. name of data file: `data: shared:simple`
+     * 2. list of names, merged in order: `data: [shared:simple, ./mock.yml]`
+     * 3. map of names, namespaced: `data: {user: user.js, flights: [a, b.yml]}`
+     * @param  {String|Array|Object} dataPath  data names
+     * @param  {String} url                    url of view
+     * @param  {Object} context                render context
+     * @return {Promise}                       promise with data
+     */
+    loadPageData(dataPath, url, context) {
+        if (!dataPath) return Promise.resolve(null);
+        if (typeof dataPath === 'string') {
+            return Promise.all([
+                this.loadData(dataPath, url, context),
+                this.loadScenarioData(dataPath, url, context)
+            ]).then(list => util.merge.apply(undefined, list));
+        }
+        if (Array.isArray(dataPath)) {
+            return Promise.all(dataPath.map(v => this.loadPageData(v, url, context)))
+                .then(list => util.merge.apply(undefined, [{}].concat(list)));
+        }
+        const keys = Object.keys(dataPath);
+        return Promise.all(keys.map(key => this.loadPageData(dataPath[key], url, context))).then(list => {
+            const result = {};
+            keys.forEach((key, i) => result[key] = list[i]);
+            return result;
+        });
+    }
+    /**
+     * find scenarios of the data file, like `data.error.json` (scenario `error`) next to `data.json`,
+     * and load the one of current scenario (`state.scenario`), it will be merged over the data.
+     * @param  {String} name    data file name
+     * @param  {String} url     url of view
+     * @param  {Object} context render context
+     * @return {Promise}        promise with data of the scenario, or null
+     */
+    loadScenarioData(name, url, context) {
+        const dataUrl = this.resolvePath(name, 'data', '.json', url, context);
+        const dir = path.dirname(dataUrl);
+        const extname = path.extname(dataUrl);
+        const basename = path.basename(dataUrl, extname);
+        const scenario = context.state.scenario;
+        let file;
+        return util.readdir(dir).then(files => {
+            files.forEach(v => {
+                if (v.indexOf(basename + '.') !== 0 || v.slice(-extname.length) !== extname) return;
+                const scenarioName = v.slice(basename.length + 1, -extname.length);
+                if (!scenarioName || scenarioName.indexOf('.') > -1) return;
+                context.scenarios.indexOf(scenarioName) === -1 && context.scenarios.push(scenarioName);
+                if (scenarioName === scenario) file = path.join(dir, v);
+            });
+            return file ? this.loadData(file, url, context) : null;
+        }, () => null);
+    }
+    getOption(prop, context) {
+        const state = context && context.state;
+        return (state && state.config && state.config[prop]) || this.options[prop];
     }
     /**
      * render template combined with data
@@ -195,169 +594,622 @@ class Hbs {
      */
     render(url, data, state) {
         debug('Hbs.render, url is %s,\n\tdata is %o,\n\tstate is %o', this.readableUrl(url), data, state);
-        const cache = this.cache;
-        this.currentState = state;
-        this.currentState.viewUrl = url;
-        // let promises;
+        state.viewUrl = url;
+        // data must be object
+        const context = this.createContext(state, data);
         let layoutFn;
-        // reset this.data, data must be object
-        this.data = data;
         if (!data.__css__) data.__css__ = [];
-        return this.resolve(url, (rawTpl) => {
-            let parsed = util.parseMixedYaml(rawTpl);
-            let metadata = parsed.metadata;
-            let layout, dataPath;
+        // url of the view, like `/book/index.md`
+        if (!data.__view__) data.__view__ = '/' + this.readableUrl(url).split(path.sep).join('/');
+        return this.load(url, true).then(entry => {
+            let metadata = util.clone(entry.metadata);
+            let layout, dataPath, scenarios, scripts;
             if (metadata) {
                 layout = metadata.layout;
+                scripts = metadata.scripts;
                 dataPath = metadata.data;
+                scenarios = metadata.scenarios;
+                delete metadata.scenarios;
             }
             // load layout
             if (layout == null || layout === true) {
-                layout = this.getOption('defaultLayout');
+                layout = this.getOption('defaultLayout', context);
             } else if (!layout || typeof layout !== 'string') {
                 layout = '__default_layout__';
             }
             debug('After resolve template, layout url is %s', layout);
-            return (dataPath ? this.loadData(dataPath, url) : Promise.resolve(null)).then(fileData => {
-                util.merge(data, fileData, metadata);
+            return Promise.all([
+                this.loadPageData(dataPath, url, context),
+                this.loadInlineScenario(scenarios, url, context),
+                this.declareScripts(scripts, url, context),
+                this.loadLocale(url, context),
+                this.loadSite()
+            ]).then(list => {
+                // urls of pages are under the locale prefix of the page
+                const prefix = i18n.prefixOf(data.__locale__, (this.options.i18n || {}).locales);
+                // pages of all projects
+                data.site = site.forPage(list[4], prefix);
+                util.merge(data, list[0], metadata, list[1]);
+                // one of pages generated by `paginate`, `state.pageNumber` is the page (the first by default)
+                let pages = this.paginate(entry.metadata, data, url, context);
+                if (pages) {
+                    if (prefix) pages = pages.map(v => Object.assign({}, v, {
+                        url: `/${prefix}${v.url}`
+                    }));
+                    const number = state.pageNumber || 1;
+                    if (!pages[number - 1]) {
+                        throw new errors.RenderError(`page ${number} doesn't exist, ${pages.length} page(s) in total`, {
+                            type: 'data',
+                            file: url
+                        });
+                    }
+                    paginate.bind(data, entry.metadata.paginate, pages, number);
+                }
+                // url of the page in browser, relative `url()` of inline css is resolved from it,
+                // like `/en/book/index.html`, or `/en/book/routes/2/index.html` generated by `paginate`
+                if (!data.__page__) {
+                    data.__page__ = pages ? pages[(state.pageNumber || 1) - 1].url :
+                        (prefix ? `/${prefix}` : '') + this.pageUrlOf(url, context);
+                }
                 // always prevent to fixPath of '__default_layout__' and load the file '__default_layout__.extname'
                 // just load the compiled cache and prevent possible error
-                return this.resolve(this.resolvePath(layout, 'layout'));
-            }).then(fn => {
-                layoutFn = fn;
-                return parsed.content;
+                const layoutUrl = context.layoutUrl = this.resolvePath(layout, 'layout', null, null, context);
+                rMagicUrl.test(layoutUrl) || this.graph.add(url, layoutUrl);
+                return this.resolve(layoutUrl, false, context).catch(err => {
+                    if (err.code !== 'ENOENT') throw err;
+                    throw new errors.RenderError(`layout "${layout}" not found: ${this.readableUrl(layoutUrl)}`, {
+                        type: 'layout',
+                        file: url,
+                        original: err
+                    });
+                });
             });
+        }).then(fn => {
+            layoutFn = fn;
+            return this.resolve(url, true, context);
         }).then((tplFn) => {
-            return this.genHtml(tplFn, url, data, layoutFn);
+            state.scenarios = context.scenarios;
+            const html = this.genHtml(tplFn, data, layoutFn, context);
+            // keys the `t` helper can't find in dictionaries of the locale
+            state.missingKeys = data.__i18n__ ? data.__i18n__.missing : [];
+            return html;
+        });
+    }
+    /**
+     * load dictionaries of the locale (`state.locale`, or the default locale) for the `t` helper:
+     * `<project>/locales/<locale>.yml` merged over the one of shared project.
+     * `data.__i18n__` is {locale, messages, fallback: messages of the default locale, missing: keys not found},
+     * and `data.__locale__` is the locale.
+     * @param  {String} url     url of view
+     * @param  {Object} context render context
+     * @return {Promise}        promise resolved when loaded, nothing is loaded if no locale is configured
+     */
+    loadLocale(url, context) {
+        const options = this.options.i18n || {};
+        const locale = i18n.pick(context.state.locale, options.locales);
+        if (!locale) return Promise.resolve();
+        const defaultLocale = i18n.pick(null, options.locales);
+        const projects = [this.options.shared, context.state.projectName].filter((v, i, arr) => arr.indexOf(v) === i);
+        const load = (name) => Promise.all(projects.map(projectName => {
+            const file = path.join(this.options.root, projectName, options.dir || 'locales', name + '.yml');
+            // dictionary is optional
+            return this.loadData(file, url, context).catch(err => {
+                if (err.original && err.original.code === 'ENOENT') return {};
+                throw err;
+            });
+        })).then(list => util.merge.apply(util, [{}].concat(list)));
+        return Promise.all([load(locale), locale === defaultLocale ? null : load(defaultLocale)]).then(list => {
+            context.data.__locale__ = locale;
+            context.data.__i18n__ = {
+                locale,
+                messages: list[0],
+                fallback: list[1],
+                missing: []
+            };
+        });
+    }
+    /**
+     * declare script entries of the page, from `scripts` of `.config.yml` (relative to the project)
+     * and yaml header (relative to the view). `data.__scripts__` is used by the `js` helper
+     * to output bundles instead of entries.
+     * @param  {String|Array} scripts `scripts` of yaml header, like `./static/scripts/index.js`
+     * @param  {String} url           url of view
+     * @param  {Object} context       render context
+     * @return {Promise}              promise resolved when all entries exist
+     */
+    declareScripts(scripts, url, context) {
+        const root = this.options.root;
+        const configUrl = path.join(root, context.state.projectName, this.options.configFileName);
+        const dirOf = (file) => '/' + this.readableUrl(path.dirname(file)).split(path.sep).join('/');
+        const entries = script.resolveEntries((context.state.config || {}).scripts, dirOf(configUrl))
+            .map(entry => [entry, configUrl])
+            .concat(script.resolveEntries(scripts, dirOf(url)).map(entry => [entry, url]));
+        return Promise.all(entries.map(v => util.exist(path.join(root, v[0])).catch(err => {
+            throw new errors.RenderError(`script "${v[0]}" not found`, {
+                type: 'script',
+                file: v[1],
+                original: err
+            });
+        }))).then(() => {
+            context.data.__scripts__ = {
+                common: this.scripts.options.common,
+                entries: this.scripts.add(entries.map(v => v[0]))
+            };
         });
     }
+    /**
+     * load scenario of current state from `scenarios` of yaml header, like
+     * `scenarios: {empty: {passengers: []}, error: ./data.error.yml}`,
+     * the value is data (object), or data names like `data` of yaml header.
+     * @param  {Object} scenarios scenarios of yaml header
+     * @param  {String} url       url of view
+     * @param  {Object} context   render context
+     * @return {Promise}          promise with data of the scenario, or null
+     */
+    loadInlineScenario(scenarios, url, context) {
+        if (!scenarios) return Promise.resolve(null);
+        const scenario = context.state.scenario;
+        Object.keys(scenarios).forEach(v => context.scenarios.indexOf(v) === -1 && context.scenarios.push(v));
+        const value = scenario && scenarios[scenario];
+        if (!value) return Promise.resolve(null);
+        return typeof value === 'object' && !Array.isArray(value) ? Promise.resolve(value) :
+            this.loadPageData(value, url, context);
+    }
     /**
      * generate html with render function and data
-     * @param  {Function} tplFn       body render function
-     * @param  {String} url           corresponding url, used to get/set cache
-     * @param  {Object} data          data
-     * @param  {Array} promises       dependency promises list,
-     *                                is [data from file, metadata, layout, maybe more]
-     * @param  {[Object]} partialData partial data, if partial has component.json
-     * @return {Object}               promise with generated html
-     */
-    genHtml(tplFn, url, data, layoutFn) {
-        const cache = this.cache;
-        if (!layoutFn) return cache[url].result;
-
-        data.body = tplFn(data);
-        return (cache[url].result = layoutFn(data));
+     * @param  {Function} tplFn    body render function
+     * @param  {Object} data       data
+     * @param  {Function} layoutFn layout render function
+     * @param  {Object} context    render context, partials installed are there
+     * @return {String}            generated html
+     */
+    genHtml(tplFn, data, layoutFn, context) {
+        const options = {
+            partials: context.partials,
+            helpers: context.helpers
+        };
+        try {
+            data.body = tplFn(data, options);
+        } catch (err) {
+            throw this.locateError(err, context.state.viewUrl, context);
+        }
+        try {
+            return layoutFn(data, options);
+        } catch (err) {
+            throw this.locateError(err, context.layoutUrl, context);
+        }
+    }
+    /**
+     * components map of project, generated from its component.json files and cached until
+     * any of them changes, same as `<project>/components.js` generated by `build:components`
+     * @param  {String} projectName project name, like `book` or `group/test`
+     * @return {Promise}            promise with map {project, __files__, components, keyComponentMap}
+     */
+    loadComponentsMap(projectName) {
+        const root = this.options.root;
+        const mapUrl = path.join(root, projectName, 'components.js');
+        if (!this.options.disableCache && this.cache[mapUrl] && this.cache[mapUrl].map) {
+            return Promise.resolve(this.cache[mapUrl].map);
+        }
+        return component.list(root, projectName).then(files => {
+            return Promise.all(files.map(file => {
+                const url = path.join(root, file);
+                return this.loadData(url, mapUrl).then(data => {
+                    const messages = component.validate(data);
+                    if (messages.length) {
+                        throw new errors.RenderError(messages.join('\n'), {
+                            type: 'data',
+                            file: url
+                        });
+                    }
+                    return data;
+                });
+            })).then(components => {
+                const map = component.genMaps(files, components, this.options.isProjectGroup)[projectName] || {
+                    project: projectName,
+                    __files__: [],
+                    components: {},
+                    keyComponentMap: {}
+                };
+                this.cache[mapUrl] = {
+                    map
+                };
+                debug('components map of %s is generated, components: %o', projectName, Object.keys(map.components));
+                return map;
+            });
+        });
+    }
+    siteUrl() {
+        return path.join(this.options.root, '__site__');
+    }
+    /**
+     * whether the file is a view (or `.config.yml`) of any project except the shared one
+     * @param  {String} url full url
+     * @return {Boolean}
+     */
+    isView(url) {
+        const file = this.readableUrl(url);
+        const extnames = [this.options.extname].concat(Object.keys(this.preprocessors));
+        return !/^\.\./.test(file) && file.split(path.sep)[0] !== path.normalize(this.options.shared) &&
+            (extnames.indexOf(path.extname(file)) > -1 || path.basename(file) === this.options.configFileName);
+    }
+    /**
+     * collection of pages of all projects with their yaml headers, seen by templates as `site`.
+     * Views in layout and partial dirs are not pages, and views with invalid yaml header are ignored.
+     * It's cached until any view is added, changed or removed.
+     * @return {Promise} promise with {pages: {project name: [page]}, tags: {tag: [page]}},
+     *                   page is {url, project, title, tags, metadata}
+     */
+    loadSite() {
+        return this.loadPages().then(res => res.site);
+    }
+    /**
+     * pages of all views, paginated views (with `paginate` in yaml header) are expanded into their pages
+     * @return {Promise} promise with {site: see loadSite,
+     *                   paginated: url of view --> [{url, number}], like `/book/routes.html` --> pages,
+     *                   permalinks: url of page --> {url: url of view, number}}
+     */
+    loadPages() {
+        const root = this.options.root;
+        const siteUrl = this.siteUrl();
+        // kept even if cache is disabled, or every render globs and loads all views,
+        // it's invalidated when any view is added, changed or removed
+        if (this.cache[siteUrl] && this.cache[siteUrl].pages) {
+            return this.cache[siteUrl].pages;
+        }
+        const paginated = {};
+        const permalinks = {};
+        const promise = site.list(root, {
+            extnames: [this.options.extname].concat(Object.keys(this.preprocessors)),
+            shared: this.options.shared
+        }).then(files => Promise.all(files.map(file => {
+            const info = util.parseUrl(file, this.options.isProjectGroup);
+            const configUrl = path.join(root, info.projectName, this.options.configFileName);
+            // `.config.yml` is optional, and maybe empty
+            return this.loadData(configUrl, siteUrl).then(config => config || {}, () => ({})).then(config => {
+                const dirs = [config.layout || this.options.layout, config.partial || this.options.partial];
+                if (dirs.some(dir => info.viewName.indexOf(path.normalize(dir) + path.sep) === 0)) return null;
+                const url = path.join(root, file);
+                const pageInfo = {
+                    file,
+                    projectName: info.projectName,
+                    extname: config.extname || this.options.extname
+                };
+                this.graph.add(siteUrl, url);
+                return this.load(url, true).then(entry => {
+                    const page = site.pageOf(pageInfo, entry.metadata);
+                    if (!entry.metadata || !entry.metadata.paginate) return [page];
+                    const context = this.createContext(Object.assign({
+                        viewUrl: url,
+                        config
+                    }, info), {});
+                    return this.loadPageData(entry.metadata.data, url, context).then(pageData => {
+                        const pages = this.paginate(entry.metadata, util.merge({}, pageData, entry.metadata), url,
+                            context);
+                        const viewUrl = '/' + file.split(path.sep).join('/');
+                        paginated[viewUrl] = pages.map(v => {
+                            permalinks[v.url] = {
+                                url: viewUrl,
+                                number: v.number
+                            };
+                            return {
+                                url: v.url,
+                                number: v.number
+                            };
+                        });
+                        return pages.map(v => site.pageOf(Object.assign({
+                            url: v.url,
+                            pagination: {
+                                number: v.number,
+                                total: pages.length
+                            }
+                        }, pageInfo), entry.metadata));
+                    }).catch(err => {
+                        // the error is shown when the view is rendered
+                        debug('%s is not paginated: %s', file, err.message);
+                        return [page];
+                    });
+                }, err => {
+                    debug('%s is ignored by site: %s', file, err.message);
+                    return [];
+                });
+            });
+        }))).then(list => {
+            const pages = [].concat.apply([], list.filter(v => v));
+            debug('site is generated, pages: %d', pages.length);
+            return {
+                site: site.collect(pages),
+                paginated,
+                permalinks
+            };
+        }, err => {
+            delete this.cache[siteUrl];
+            throw err;
+        });
+        this.cache[siteUrl] = {
+            pages: promise
+        };
+        return promise;
+    }
+    /**
+     * view of page generated by `paginate`
+     * @param  {String} url like `/book/routes/pek-sha.html` or `/book/routes/`
+     * @return {Promise}    promise with {url: url of view like `/book/routes.html`, number}, or null
+     */
+    resolvePermalink(url) {
+        const options = this.options;
+        return this.loadPages().then(res => {
+            return res.permalinks[url] || (/\/$/.test(url) &&
+                res.permalinks[url + options.defaultPage + options.extname]) || null;
+        });
+    }
+    /**
+     * pages of the view with `paginate` in yaml header, `permalink` is rendered with data of each page
+     * @param  {Object} metadata yaml header
+     * @param  {Object} data     page data, merged with yaml header
+     * @param  {String} url      full url of view
+     * @param  {Object} context  render context
+     * @return {Array}           [{url, number, items}], or null if not paginated
+     */
+    paginate(metadata, data, url, context) {
+        if (!metadata || !metadata.paginate) return null;
+        let permalink = null;
+        if (metadata.permalink) {
+            const fn = this.handlebars.compile(String(metadata.permalink), {
+                noEscape: true
+            });
+            permalink = (pageData) => {
+                try {
+                    return fn(pageData);
+                } catch (err) {
+                    throw new errors.RenderError(`invalid permalink: ${err.message}`, {
+                        type: 'data',
+                        file: url,
+                        original: err
+                    });
+                }
+            };
+        }
+        return paginate.pagesOf(metadata.paginate, data, {
+            url: this.pageUrlOf(url, context),
+            file: url,
+            permalink
+        });
+    }
+    /**
+     * url of the page generated by the view, views of any format are output as `extname`
+     * @param  {String} url     full url of view, like `/root/book/about.md`
+     * @param  {Object} context render context
+     * @return {String}         like `/book/about.html`
+     */
+    pageUrlOf(url, context) {
+        const file = this.readableUrl(url);
+        const extname = this.getOption('extname', context);
+        return '/' + (file.slice(0, -path.extname(file).length) + extname).split(path.sep).join('/');
+    }
+    /**
+     * components maps of all projects
+     * @return {Promise} promise with {project name: components map}
+     */
+    loadComponentsMaps() {
+        return component.list(this.options.root).then(files => {
+            const projects = files.map(file => component.projectOf(file, this.options.isProjectGroup))
+                .filter((v, i, arr) => arr.indexOf(v) === i && v !== this.options.shared);
+            return Promise.all(projects.map(projectName => this.loadComponentsMap(projectName))).then(maps => {
+                const res = {};
+                projects.forEach((projectName, i) => res[projectName] = maps[i]);
+                return res;
+            });
+        });
     }
     renderComponent(url, data) {
         debug('Hbs.renderComponent,\n\turl is %o,\n\tdata is %o', url, data);
-        // reset this.data and simulate render view
-        this.data = data;
         let urlInfo = util.parseUrl(url, this.options.isProjectGroup);
         const fakeUrl = path.resolve(this.options.root, urlInfo.projectName, '__fake__.html');
-        const mapUrl = path.resolve(this.options.root, urlInfo.projectName, 'components.js');
-        let map;
-        if (!this.disableCache && this.cache[mapUrl]) {
-            map = this.cache[mapUrl];
-        } else {
-            this.cache[mapUrl] = map = require(mapUrl);
-        }
         let componentName = urlInfo.viewName.split(path.sep)[0];
         let stateName = urlInfo.viewName.split(path.sep)[1];
         debug('projectName is %s, componentName is %s, stateName is %s', urlInfo.projectName, componentName, stateName);
-        map = map.components[componentName];
-        // update currentState manually
-        this.currentState = {
-            projectName: urlInfo.projectName,
-            viewName: '__fake__',
-            viewUrl: fakeUrl
-        };
-        // (container) state file name
-        let stateFile = map.type === 'd' ? map.template : map.states[stateName].file;
-        // stateFile --> relative url
-        let relativeUrl = path.relative(fakeUrl.replace(/__fake__\.html$/, ''), path.resolve(this.options.root,
-            map.configFile).replace(/component\.json/, stateFile));
-        debug('fakeUrl is %s, mapUrl is %s, relativeUrl is %s', this.readableUrl(fakeUrl),
-            this.readableUrl(mapUrl), this.readableUrl(relativeUrl));
-        ///
-        /// hook _state and _stateFile to preinstall correct dynamic partial
-        ///
-        let hookData = {
-            [`__c_${componentName}__`]: {
-                _state: stateName,
-                _stateFile: map.states[stateName].file,
-                _key: map._key // copy map._key
+        return this.loadComponentsMap(urlInfo.projectName).then(componentsMap => {
+            const map = componentsMap.components[componentName];
+            if (!map || !map.states[stateName]) {
+                const err = new Error(`component "${componentName}" or its state "${stateName}" doesn't exist`);
+                err.code = 'ENOENT';
+                throw err;
             }
-        };
-        // patch hookData and map to this.data here
-        util.merge(data, map, hookData);
-        // shutdown load partial data
-        this.options.disableLoadPartialData = true;
-        return this.compile(`{{> ./${relativeUrl} $$info='status=hide'}}`, false, fakeUrl).then(fn => {
-            this.cache.__partial_template__ = {
-                compiled: fn
+            // simulate render view
+            const context = this.createContext({
+                projectName: urlInfo.projectName,
+                viewName: '__fake__',
+                viewUrl: fakeUrl
+            }, data);
+            // (container) state file name
+            let stateFile = map.type === 'd' ? map.template : map.states[stateName].file;
+            // stateFile --> relative url
+            let relativeUrl = path.relative(fakeUrl.replace(/__fake__\.html$/, ''), path.resolve(this.options.root,
+                map.configFile).replace(/component\.json/, stateFile));
+            debug('fakeUrl is %s, relativeUrl is %s', this.readableUrl(fakeUrl), this.readableUrl(relativeUrl));
+            ///
+            /// hook _state and _stateFile to preinstall correct dynamic partial
+            ///
+            let hookData = {
+                [`__c_${componentName}__`]: Object.assign(util.clone(map), {
+                    _state: stateName,
+                    _stateFile: map.states[stateName].file
+                })
             };
-            debug('before generate component html, data is %o', data);
-            // reopen load partial data
-            this.options.disableLoadPartialData = false;
-            return this.genHtml(fn, '__partial_template__', data, this.cache.__default_layout__.compiled);
+            // shutdown load partial data
+            context.disableLoadPartialData = true;
+            return this.loadStateData(map, stateName, context).then(stateData => {
+                // patch hookData and data of the state to data here
+                util.merge(data, hookData, stateData);
+                return this.compile(`{{> ./${relativeUrl} $$info='status=hide'}}`, false, fakeUrl, context);
+            }).then(fn => {
+                debug('before generate component html, data is %o', data);
+                return this.genHtml(fn, data, this.cache.__default_layout__.compiled, context);
+            });
+        });
+    }
+    /**
+     * load content of file, the cache entry is like {content, metadata, parsed, compiled}
+     * @param  {String}  url          full url of file
+     * @param  {Boolean} withMetadata parse yaml header of the file to metadata (view only)
+     * @return {Promise}              promise with the cache entry
+     */
+    load(url, withMetadata) {
+        const cache = this.cache;
+        if (!this.options.disableCache && cache[url] && cache[url].content != null) {
+            return Promise.resolve(cache[url]);
+        }
+        return util.read(url).then(rawTpl => {
+            let parsed;
+            try {
+                parsed = withMetadata ? util.parseMixedYaml(rawTpl) : {
+                    content: rawTpl
+                };
+            } catch (err) {
+                throw new errors.RenderError(`invalid yaml header: ${err.message}`, {
+                    type: 'syntax',
+                    file: url,
+                    // line of yaml, after the `---` line
+                    line: err.parsedLine && err.parsedLine + 1,
+                    original: err
+                });
+            }
+            const preprocess = this.preprocessors[path.extname(url)];
+            const res = preprocess ? preprocess(parsed.content, url) : parsed.content;
+            return (cache[url] = {
+                content: typeof res === 'string' ? res : res.content,
+                metadata: parsed.metadata,
+                // lines of yaml header, line numbers of the content start after it
+                lineOffset: rawTpl.slice(0, rawTpl.length - parsed.content.length).split('\n').length - 1,
+                // maps locations of preprocessed content, like markdown to html
+                locate: typeof res === 'string' ? null : res.locate
+            });
         });
     }
+    /**
+     * parse content of the cache entry once
+     * @param  {Object} entry cache entry
+     * @param  {String} url   full url of file
+     * @return {Object}       result of `parse`
+     */
+    parseEntry(entry, url) {
+        try {
+            return entry.parsed || (entry.parsed = this.parse(entry.content));
+        } catch (err) {
+            throw errors.syntaxError(err, url, loc => this.locate(entry, loc));
+        }
+    }
+    /**
+     * locate error thrown when rendering to the template (or partial in it) and the line
+     * @param  {Object} err     error thrown
+     * @param  {String} url     full url of template
+     * @param  {Object} context render context
+     * @return {Object}         RenderError
+     */
+    locateError(err, url, context) {
+        // undefined lookup in strict mode, like `"name" not defined in [object Object] - 3:5`
+        const lookup = /^"([^"]+)" not defined in /.exec(err.message);
+        const error = err instanceof errors.RenderError ? err : new errors.RenderError(lookup ?
+            `"${lookup[1]}" is not defined` : err.message, {
+                type: lookup ? 'lookup' : 'template',
+                line: err.lineNumber,
+                column: err.column,
+                original: err
+            });
+        const files = (err.partials || []).map(name => context.partialFiles[name]).filter(v => v);
+        const file = files.length ? files[files.length - 1] : {
+            url
+        };
+        error.file = file.url;
+        error.chain = [url].concat(files.map(v => v.url));
+        if (error.line) {
+            const loc = this.locate(this.cache[file.url], {
+                line: error.line + (file.lineOffset || 0),
+                column: error.column
+            });
+            error.line = loc.line;
+            error.column = loc.column;
+        }
+        if (error.helper) error.helperFile = this.helperUrl(error.helper, context);
+        return error;
+    }
     /**
      * load content of file and compile it to render function
-     * @param  {String}   url        full url of file, prefer view/layout
-     * @param  {Function} processTpl process the raw tpl and return handled content (promise)
-     * @return {Promise}             promise
+     * @param  {String}  url          full url of file, prefer view/layout
+     * @param  {Boolean} withMetadata the file has yaml header (view only)
+     * @param  {Object}  context      render context
+     * @return {Promise}              promise
      */
-    resolve(url, processTpl) {
+    resolve(url, withMetadata, context) {
         const cache = this.cache;
         // add special cases
         if (rMagicUrl.test(url)) {
             return cache[url] ? Promise.resolve(cache[url].compiled) :
                 Promise.reject(`try to resolve invalid url ${url}`);
         }
-        if (!this.options.disableCache && cache[url] && cache[url].compiled) {
-            return Promise.resolve(cache[url].compiled);
-        }
-        return util.read(url).then(rawTpl => {
-            return (processTpl ? processTpl(rawTpl) : Promise.resolve(rawTpl)).then(processedTpl => {
-                return this.compile(processedTpl, false, url);
+        // the compiled function depends on templateOptions, which could differ between projects
+        const optionsKey = JSON.stringify(this.compileOptions(context) || {});
+        return this.load(url, withMetadata).then(entry => {
+            const parsed = this.parseEntry(entry, url);
+            entry.compiled = entry.compiled || {};
+            // dependencies are always installed (no io if cached), and compiled only once
+            return this.compile(parsed, !!entry.compiled[optionsKey], url, context).then(fn => {
+                return entry.compiled[optionsKey] || (entry.compiled[optionsKey] = fn);
             });
-        }).then((res) => {
-            cache[url] = {
-                compiled: res
-            };
-            return res;
         });
     }
     /**
      * compile raw template to render function
-     * @param  {String} content          the content of template
+     * @param  {String|Object} content   the content of template, or the result of `parse`
      * @param  {Boolean} onlyResolveDeps only resolve dependencies and dont compile the template,
      *                                   inner usage only.
      * @param  {String} curUrl           the url of content
+     * @param  {Object} context          render context
      * @return {Promise}                 promise
      */
-    compile(content, onlyResolveDeps, curUrl) {
-        const result = this.parse(content);
+    compile(content, onlyResolveDeps, curUrl, context) {
+        const result = typeof content === 'string' ? this.parse(content) : content;
         let partialsPromise;
         // load unregistered helpers -- sync
-        if (result.helpers.length) {
+        try {
             result.helpers.forEach((v) => {
-                this.installHelper(v.name, curUrl);
+                // `shared:name` is registered as `name`
+                const name = v.name.replace(sharedPathRe, '');
+                if (context.helpers[name] || this.handlebars.helpers[name]) {
+                    return this.graph.add(curUrl, this.helperUrl(name, context));
+                }
+                try {
+                    this.installHelper(v.name, curUrl, context);
+                } catch (err) {
+                    // strict mode
+                    throw this.nodeError(err.message, {
+                        type: 'helper',
+                        helper: name,
+                        original: err.original
+                    }, v.node, curUrl);
+                }
             });
+        } catch (err) {
+            return Promise.reject(err);
         }
         // load unregistered partials -- async
         if (result.partials.length) {
             partialsPromise = Promise.all(result.partials.map((v) => {
-                if (v.dynamic) {
-                    return this.installDynamicPartial(v.dynamic, v.hash, curUrl);
-                }
-                return this.installPartial(v.name, v.hash, curUrl);
+                return (v.dynamic ? this.installDynamicPartial(v.dynamic, v.hash, curUrl, context) :
+                    this.installPartial(v.name, v.hash, curUrl, context)).catch(err => {
+                        if (err instanceof errors.RenderError) throw err.includedFrom(curUrl);
+                        throw this.nodeError(err.code === 'ENOENT' ?
+                            `partial "${v.name || v.dynamic.name}" not found: ${this.readableUrl(err.path)}` : err.message, {
+                                type: 'partial',
+                                original: err
+                            }, v.node, curUrl);
+                    });
             }));
         }
         const promise = Promise.resolve(partialsPromise);
         return onlyResolveDeps ? promise : promise.then(() => {
-            return this.handlebars.compile(result.ast, this.getOption('templateOptions'));
+            return this.handlebars.compile(result.ast, this.compileOptions(context));
         });
     }
 }
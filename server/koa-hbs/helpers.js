@@ -1,8 +1,7 @@
 'use strict';
 
 const Handlebars = require('handlebars');
-const path = require('path');
-const util = require('./util');
+const i18n = require('./i18n');
 // here are some addtional core helpers or helper's helpers.
 // so I dont put it in front/src/shared:helpers (helpers there are optional)
 
@@ -15,12 +14,25 @@ module.exports = function initCoreHelpers(hbs) {
             this.__css__.push(file);
         }
     });
-    // csso helper, output styles imported via cssx
-    hbs.registerHelper('csso', function(file) {
-        let content = this.__css__.map(v => path.join(hbs.options.root, v))
-            .map(v => util.readSync(v));
-        file = typeof file === 'string' ? file : '/shared/static/styles/._componentsStyle.css';
-        util.writeSync(path.join(hbs.options.root, file), content.join('\n\n'));
-        return new Handlebars.SafeString(`<link rel="stylesheet" href="${file}">`);
+    // csso helper, output styles imported via cssx as one bundle per page (set of components),
+    // or inline them with `{{csso inline=true minify=true}}`
+    hbs.registerHelper('csso', function(file, options) {
+        options = arguments[arguments.length - 1];
+        if (!this.__css__ || !this.__css__.length) return;
+        if (options.hash.inline) {
+            const content = hbs.inlineCss(this.__css__, this.__page__, options.hash.minify, this.__view__);
+            return new Handlebars.SafeString(`<style>\n${content}\n</style>`);
+        }
+        const url = hbs.bundleCss(this.__css__, typeof file === 'string' ? file : null);
+        (this.__cssBundles__ || (this.__cssBundles__ = [])).push(url);
+        return new Handlebars.SafeString(`<link rel="stylesheet" href="${url}">`);
+    });
+    // t helper, translate with dictionaries of the locale (`<project>/locales/<locale>.yml`), like `{{t 'steps.pay'}}`.
+    // `{name}` in message is replaced by hash, like `{{t 'hello' name=user.name}}` with `hello: 你好，{name}`,
+    // and `count` picks the plural form, like `{{t 'passengers' count=list.length}}` with
+    // `passengers: {zero: no passenger, one: '{count} passenger', other: '{count} passengers'}`.
+    hbs.registerHelper('t', function(key, options) {
+        options = arguments[arguments.length - 1];
+        return i18n.translate(options.data && options.data.root.__i18n__, key, options.hash);
     });
 };
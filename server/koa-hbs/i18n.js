@@ -0,0 +1,101 @@
+'use strict';
+
+// locales of pages. Dictionaries are `<project>/locales/<locale>.yml` merged over `shared/locales/<locale>.yml`,
+// the first locale is the default one, and pages of other locales are under the locale prefix, like `/en/book/`.
+
+/**
+ * configured locale, or the default one
+ * @param  {String} locale  like `en`
+ * @param  {Array} locales  configured locales, like ['zh', 'en']
+ * @return {String}         locale, or undefined if no locale is configured
+ */
+const pick = (locale, locales) => {
+    locales = locales || [];
+    return locales.indexOf(locale) > -1 ? locale : locales[0];
+};
+
+/**
+ * split locale prefix of url
+ * @param  {String} url     like `/en/book/index.html`
+ * @param  {Array} locales  configured locales
+ * @return {Object}         {locale: 'en', url: '/book/index.html'}, or null if no locale prefix
+ */
+const splitUrl = (url, locales) => {
+    const res = /^\/([^\/]+)(\/.*)?$/.exec(url);
+    if (!res || !locales || locales.indexOf(res[1]) === -1) return null;
+    return {
+        locale: res[1],
+        url: res[2] || '/'
+    };
+};
+
+/**
+ * prefix of output of the locale, the default locale has none
+ * @param  {String} locale  like `en`
+ * @param  {Array} locales  configured locales
+ * @return {String}         like `en`, or ''
+ */
+const prefixOf = (locale, locales) => locale && locale !== pick(null, locales) ? locale : '';
+
+// message of key like `steps.pay` in the dictionary
+const lookup = (messages, key) => String(key).split('.').reduce((obj, name) => {
+    return obj && typeof obj === 'object' ? obj[name] : undefined;
+}, messages);
+
+// plural category of count in the locale, like `one` or `other`
+const pluralOf = (count, locale) => {
+    try {
+        return new Intl.PluralRules(locale).select(count);
+    } catch (err) {
+        return count === 1 ? 'one' : 'other';
+    }
+};
+
+/**
+ * message of the key, used by the `t` helper. `{name}` in message is replaced by hash,
+ * and `count` of hash picks the plural form (`zero`, `one`, `other`...).
+ * keys not found are recorded, and the message of the default locale (or the key) is used.
+ * @param  {Object} i18n `data.__i18n__` of the page, {locale, messages, fallback, missing}
+ * @param  {String} key  like `steps.pay`
+ * @param  {Object} hash like {name: 'creeper', count: 2}
+ * @return {String}      message
+ */
+const translate = (i18n, key, hash) => {
+    i18n = i18n || {};
+    hash = hash || {};
+    let message = lookup(i18n.messages, key);
+    if (message == null) {
+        if (i18n.missing && i18n.missing.indexOf(key) === -1) i18n.missing.push(key);
+        message = lookup(i18n.fallback, key);
+    }
+    if (message && typeof message === 'object' && hash.count != null) {
+        const count = +hash.count;
+        const form = count === 0 && message.zero != null ? 'zero' : pluralOf(count, i18n.locale);
+        message = message[form] != null ? message[form] : message.other;
+    }
+    if (message == null || typeof message === 'object') return key;
+    return String(message).replace(/\{(\w+)\}/g, (all, name) => hash[name] != null ? hash[name] : all);
+};
+
+/**
+ * format missing keys of pages
+ * @param  {Object} missing locale --> page --> missing keys
+ * @return {String}         lines like `en book/index.html: steps.pay, steps.done`, '' if nothing is missing
+ */
+const formatMissing = (missing) => {
+    const lines = [];
+    Object.keys(missing).sort().forEach(locale => {
+        Object.keys(missing[locale]).sort().forEach(page => {
+            if (missing[locale][page].length) lines.push(`${locale} ${page}: ${missing[locale][page].join(', ')}`);
+        });
+    });
+    return lines.join('\n');
+};
+
+module.exports = {
+    pick,
+    splitUrl,
+    prefixOf,
+    translate,
+    formatMissing
+};
@@ -4,6 +4,11 @@ const path = require('path');
 const debug = require('debug')('khbs');
 const Hbs = require('./hbs');
 const util = require('./util');
+const component = require('./component');
+const style = require('./style');
+const script = require('./script');
+const errors = require('./errors');
+const i18n = require('./i18n');
 
 const loadConfig = (projectName, options, cache) => {
     const url = path.join(options.root, projectName, options.configFileName);
@@ -25,6 +30,15 @@ const loadConfig = (projectName, options, cache) => {
         });
 };
 
+// the first existing file, or the first url if none exists
+const findFile = (urls) => {
+    return urls.reduce((promise, url) => promise.catch(() => util.exist(url)), Promise.reject())
+        .catch(() => urls[0]);
+};
+
+const componentsMapRe = /\/components\.js$/;
+const styleRe = /\.css(\.map)?$/;
+const scriptRe = /\.bundle\.js(\.map)?$/;
 const placeholderIndex = '__view_index_file__';
 const placeholderIndexRe = /__view_index_file__$/;
 const createRenderer = (hbs) => {
@@ -34,23 +48,48 @@ const createRenderer = (hbs) => {
         debug('render url is %s, data is %o', url, locals);
         locals = locals || {};
         util.merge(locals, this.state, hbs.locals);
-        const extname = path.extname(url);
-        // remove first char ('/' or '\')
-        let name = (extname ? url.slice(0, - extname.length) :
-            path.join(url, placeholderIndex)).slice(1);
-        const urlInfo = util.parseUrl(name, options.isProjectGroup);
-        if (urlInfo.projectName === placeholderIndex) {
-            urlInfo.projectName = '';
-            urlInfo.viewName = placeholderIndex;
-        }
-        return loadConfig(urlInfo.projectName, options, hbs.cache).then((config) => {
+        let extname;
+        let urlInfo;
+        // page generated by `paginate` is rendered by its view, like `/book/routes/pek-sha.html` --> `/book/routes.html`
+        return hbs.resolvePermalink(url).then(page => {
+            if (page) url = page.url;
+            extname = path.extname(url);
+            // remove first char ('/' or '\')
+            let name = (extname ? url.slice(0, - extname.length) :
+                path.join(url, placeholderIndex)).slice(1);
+            urlInfo = util.parseUrl(name, options.isProjectGroup);
+            if (urlInfo.projectName === placeholderIndex) {
+                urlInfo.projectName = '';
+                urlInfo.viewName = placeholderIndex;
+            }
+            urlInfo.pageNumber = page ? page.number : 1;
+            return loadConfig(urlInfo.projectName, options, hbs.cache);
+        }).then((config) => {
             urlInfo.viewName = urlInfo.viewName.replace(placeholderIndexRe,
                 config.defaultPage || options.defaultPage);
             urlInfo.config = config;
-            return hbs.render(path.resolve(options.root, urlInfo.projectName,
-                urlInfo.viewName + (extname || config.extname || options.extname)),
-                locals, urlInfo).then((html) => {
+            // data scenario, like `?__scenario__=error`
+            urlInfo.scenario = this.query && this.query.__scenario__;
+            // locale from url prefix (see the middleware), or like `?__locale__=en`
+            urlInfo.locale = i18n.pick((this.state && this.state.locale) || (this.query && this.query.__locale__),
+                (options.i18n || {}).locales);
+            const baseUrl = path.resolve(options.root, urlInfo.projectName, urlInfo.viewName);
+            // view could be any format with preprocessor, like `/about.html` --> `about.md`
+            const extnames = [extname || config.extname || options.extname, config.extname || options.extname]
+                .concat(Object.keys(hbs.preprocessors));
+            return findFile(extnames.filter((v, i) => v && extnames.indexOf(v) === i).map(v => baseUrl + v));
+        }).then(viewUrl => {
+            // project config affects all views of the project
+            hbs.graph.add(viewUrl, path.join(options.root, urlInfo.projectName, options.configFileName));
+            return hbs.render(viewUrl, locals, urlInfo).then((html) => {
                     this.body = html;
+                    if (this.state) {
+                        // scenarios available for the view, listed by the viewer
+                        this.state.scenarios = urlInfo.scenarios;
+                        this.state.locale = urlInfo.locale;
+                        // keys not found in dictionaries of the locale
+                        this.state.missingKeys = urlInfo.missingKeys;
+                    }
                 });
         });
     };
@@ -67,16 +106,104 @@ const createComponenRenderer = (hbs) => {
     }
 };
 
+// sass is compiled on request, like `/book/static/styles/book.css` --> `book.scss`,
+// and its source map is `/book/static/styles/book.css.map`. Existing css files are left to others.
+const serveStyle = (hbs, ctx, next) => {
+    const root = hbs.options.root;
+    const isMap = !!styleRe.exec(ctx.path)[1];
+    const cssUrl = path.join(root, isMap ? ctx.path.slice(0, -'.map'.length) : ctx.path);
+    if (cssUrl.indexOf(root + path.sep) !== 0) return next();
+    return util.exist(cssUrl).then(() => next(), () => {
+        return findFile(style.sassUrlsOf(cssUrl)).then(url => util.exist(url)).then(url => {
+            let res;
+            try {
+                res = hbs.loadStyle(url);
+            } catch (err) {
+                hbs.options.onerror(err, ctx, next);
+                ctx.status = 500;
+                ctx.type = 'text/plain';
+                ctx.body = errors.format(err, root);
+                return;
+            }
+            if (isMap) {
+                if (!res.map) return next();
+                ctx.type = 'application/json';
+                ctx.body = res.map;
+                return;
+            }
+            ctx.type = 'text/css';
+            ctx.body = res.css + (res.map ? `\n/*# sourceMappingURL=${path.basename(cssUrl)}.map */\n` : '');
+        }, () => next());
+    });
+};
+
+// script bundles are generated on request, like `/book/static/scripts/index.bundle.js`
+// (and `index.bundle.js.map`), entries are declared by pages rendered or inferred from the url.
+const serveScript = (hbs, ctx, next) => {
+    const root = hbs.options.root;
+    const bundler = hbs.scripts;
+    const url = ctx.path.replace(/\.map$/, '');
+    const entry = script.entryUrlOf(url);
+    const entryUrl = path.join(root, entry);
+    const declared = bundler.entries[entry] || url === bundler.options.common;
+    if (entryUrl.indexOf(root + path.sep) !== 0) return next();
+    return (declared ? Promise.resolve() : util.exist(entryUrl).then(() => bundler.add([entry]))).then(() => {
+        return bundler.bundle().then(assets => {
+            if (assets[ctx.path] == null) return next();
+            ctx.type = ctx.path === url ? 'application/javascript' : 'application/json';
+            ctx.body = assets[ctx.path];
+        }, err => {
+            hbs.options.onerror(err, ctx, next);
+            ctx.status = 500;
+            ctx.type = 'text/plain';
+            ctx.body = errors.format(err, root);
+        });
+    }, () => next());
+};
+
 exports = module.exports = (options) => {
     debug('start, attach render and renderComponent method, options is %o', options);
     const hbs = new Hbs(options);
     const render = createRenderer(hbs);
     const renderComponent = createComponenRenderer(hbs);
-    return (ctx, next) => {
+    const middleware = (ctx, next) => {
+        // pages of locale are under its prefix, like `/en/book/` is `/book/` in `en`
+        const localeInfo = i18n.splitUrl(ctx.path, (hbs.options.i18n || {}).locales);
+        if (localeInfo) {
+            ctx.state.locale = localeInfo.locale;
+            ctx.path = localeInfo.url;
+        }
+        // css bundles generated by csso are served from memory
+        const bundle = hbs.cssBundles[ctx.path];
+        if (bundle && (ctx.method === 'GET' || ctx.method === 'HEAD')) {
+            ctx.type = 'text/css';
+            ctx.body = bundle.content;
+            return;
+        }
         ctx.render = render;
         ctx.renderComponent = renderComponent;
+        if ((ctx.method === 'GET' || ctx.method === 'HEAD') && styleRe.test(ctx.path)) {
+            return serveStyle(hbs, ctx, next);
+        }
+        if ((ctx.method === 'GET' || ctx.method === 'HEAD') && scriptRe.test(ctx.path)) {
+            return serveScript(hbs, ctx, next);
+        }
+        // components map of project is generated on the fly, like `/book/components.js`
+        const mapInfo = (ctx.method === 'GET' || ctx.method === 'HEAD') && componentsMapRe.test(ctx.path) &&
+            util.parseUrl(ctx.path.slice(1), hbs.options.isProjectGroup);
+        if (mapInfo && mapInfo.viewName === 'components.js' && mapInfo.projectName !== hbs.options.shared) {
+            return util.exist(path.join(hbs.options.root, mapInfo.projectName)).then(() => {
+                return hbs.loadComponentsMap(mapInfo.projectName).then(map => {
+                    ctx.type = 'application/javascript';
+                    ctx.body = component.genMapFile(map);
+                });
+            }, () => next());
+        }
         return next();
     };
+    // expose the instance, so others (like livereload) can access the cache
+    middleware.hbs = hbs;
+    return middleware;
 };
 
 exports.Hbs = Hbs;
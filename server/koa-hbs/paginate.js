@@ -0,0 +1,112 @@
+'use strict';
+
+const path = require('path');
+const errors = require('./errors');
+
+// one view expands into pages of a data array, via yaml header like
+// `paginate: {data: routes, size: 1, as: route}` and `permalink: /book/routes/{{route.from}}.html`
+
+// value of key like `routes` or `airline.routes` in data
+const lookup = (data, key) => String(key).split('.').reduce((obj, name) => {
+    return obj && typeof obj === 'object' ? obj[name] : undefined;
+}, data);
+
+// items of each page, 1 by default
+const sizeOf = (options) => Math.max(parseInt(options.size, 10) || 1, 1);
+
+/**
+ * url of page generated by permalink
+ * @param  {String} permalink rendered permalink, like `/book/routes/pek-sha.html`, `pek-sha/` or `2`
+ * @param  {String} viewUrl   url of view, like `/book/routes.html`, relative permalink is resolved to its dir
+ * @return {String}           like `/book/routes/pek-sha.html`, `/book/pek-sha/index.html` or `/book/2.html`
+ */
+const resolveUrl = (permalink, viewUrl) => {
+    const extname = path.posix.extname(viewUrl);
+    let url = permalink.trim();
+    if (/\/$/.test(url)) url += 'index';
+    if (!path.posix.extname(url)) url += extname;
+    return url[0] === '/' ? path.posix.normalize(url) : path.posix.join(path.posix.dirname(viewUrl), url);
+};
+
+/**
+ * pages of the paginated view
+ * @param  {Object} options   `paginate` of yaml header, {data: key of the array in page data,
+ *                            size: items of each page (1 by default), as: name the items are bound to}
+ * @param  {Object} data      page data, merged with yaml header
+ * @param  {Object} info      {url: url of view like `/book/routes.html`, file: full url of view (to locate errors),
+ *                            permalink: function rendering permalink with data of the page, or null}
+ * @return {Array}            [{url, number, items}], pages after the first are like `/book/routes-2.html`
+ *                            without permalink
+ */
+const pagesOf = (options, data, info) => {
+    const fail = (message) => new errors.RenderError(message, {
+        type: 'data',
+        file: info.file
+    });
+    if (!options || typeof options !== 'object' || !options.data) {
+        throw fail('paginate should be like {data: routes, size: 1, as: route}');
+    }
+    const items = lookup(data, options.data);
+    if (!Array.isArray(items)) throw fail(`paginate data "${options.data}" is not an array`);
+    // no page to render, fails the same way in server and build
+    if (!items.length) throw fail(`paginate data "${options.data}" is empty`);
+    const size = sizeOf(options);
+    const total = Math.ceil(items.length / size);
+    const pages = [];
+    for (let i = 0; i < total; i++) {
+        pages.push({
+            number: i + 1,
+            items: items.slice(i * size, (i + 1) * size)
+        });
+    }
+    const urls = {};
+    const extname = path.posix.extname(info.url);
+    pages.forEach(page => {
+        if (info.permalink) {
+            // urls of pages are not known yet, only items and page numbers are used
+            page.url = resolveUrl(String(info.permalink(bind(Object.assign({}, data), options, pages, page.number))),
+                info.url);
+        } else {
+            page.url = page.number > 1 ? `${info.url.slice(0, -extname.length)}-${page.number}${extname}` : info.url;
+        }
+        if (urls[page.url]) {
+            throw fail(`permalink "${page.url}" of page ${page.number} is the same as page ${urls[page.url]}`);
+        }
+        urls[page.url] = page.number;
+    });
+    return pages;
+};
+
+/**
+ * bind items of the page to data, `as` is the item itself when size is 1, and `pagination` is
+ * {number, total, size, items, urls, first, last, previous, next}, urls of other pages are null if not existing
+ * @param  {Object} data    page data
+ * @param  {Object} options `paginate` of yaml header
+ * @param  {Array} pages    pages generated by pagesOf (without urls when rendering permalinks)
+ * @param  {Number} number  page number, starts from 1
+ * @return {Object}         data
+ */
+const bind = (data, options, pages, number) => {
+    const page = pages[number - 1];
+    const size = sizeOf(options);
+    const urlOf = (n) => pages[n - 1] && pages[n - 1].url || null;
+    data.pagination = {
+        number,
+        total: pages.length,
+        size,
+        items: page.items,
+        urls: pages.map(v => v.url || null),
+        first: urlOf(1),
+        last: urlOf(pages.length),
+        previous: urlOf(number - 1),
+        next: urlOf(number + 1)
+    };
+    if (options.as) data[options.as] = size === 1 ? page.items[0] : page.items;
+    return data;
+};
+
+module.exports = {
+    resolveUrl,
+    pagesOf,
+    bind
+};
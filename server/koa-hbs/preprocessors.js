@@ -0,0 +1,85 @@
+'use strict';
+
+const marked = require('marked');
+// preprocessors turn other formats to handlebars html before the template is parsed,
+// they are dispatched by extname of views and partials.
+
+const rMustache = /\{\{\{\{[\s\S]*?\}\}\}\}|\{\{\{[\s\S]*?\}\}\}|\{\{[\s\S]*?\}\}/g;
+const rPlaceholder = /HBSPLACEHOLDER(\d+)X/g;
+// a line with only mustaches, like `{{> partial}}` or `{{#each list}}`, should not be wrapped
+const rWrapped = /<p>((?:HBSPLACEHOLDER\d+X\s*)+)<\/p>/g;
+
+// location after the text, line starts from 1 and column from 0 (like handlebars)
+const advance = (pos, text) => {
+    const lines = text.split('\n');
+    return {
+        line: pos.line + lines.length - 1,
+        column: lines.length > 1 ? lines[lines.length - 1].length : pos.column + text.length
+    };
+};
+
+// mustaches are replaced with placeholders, so markdown will not escape them.
+// errors are thrown at mustaches, so their locations in html are mapped back to the markdown
+const markdown = (content) => {
+    const mustaches = [];
+    let pos = {
+        line: 1,
+        column: 0
+    };
+    let last = 0;
+    content = content.replace(rMustache, (mustache, offset) => {
+        pos = advance(pos, content.slice(last, offset));
+        last = offset;
+        return `HBSPLACEHOLDER${mustaches.push({
+            mustache,
+            source: pos
+        }) - 1}X`;
+    });
+    const html = marked(content).replace(rWrapped, (all, placeholders) => placeholders.trim());
+    // {html: location in html, source: location in markdown} of every mustache
+    const points = [];
+    let res = '';
+    let match;
+    pos = {
+        line: 1,
+        column: 0
+    };
+    last = 0;
+    rPlaceholder.lastIndex = 0;
+    while ((match = rPlaceholder.exec(html))) {
+        const item = mustaches[match[1]];
+        pos = advance(pos, html.slice(last, match.index));
+        points.push({
+            html: pos,
+            source: item.source
+        });
+        pos = advance(pos, item.mustache);
+        res += html.slice(last, match.index) + item.mustache;
+        last = match.index + match[0].length;
+    }
+    return {
+        content: res + html.slice(last),
+        // location in markdown of the location in html, relative to the closest mustache before it
+        locate: (line, column) => {
+            const point = points.filter(v => v.html.line < line || v.html.line === line &&
+                v.html.column <= column).pop();
+            if (!point) return {
+                line,
+                column
+            };
+            return point.html.line === line ? {
+                line: point.source.line,
+                column: point.source.column + column - point.html.column
+            } : {
+                line: point.source.line + line - point.html.line,
+                column
+            };
+        }
+    };
+};
+
+module.exports = function initPreprocessors(hbs) {
+    if (!hbs) return;
+
+    hbs.registerPreprocessor('.md', markdown);
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+const path = require('path');
+const debug = require('debug')('khbs:script');
+const errors = require('./errors');
+
+const rJs = /\.js$/i;
+const rBundle = /\.bundle\.js$/i;
+
+/**
+ * url of the bundle of entry
+ * @param  {String} entry like `/book/static/scripts/index.js`
+ * @return {String}       like `/book/static/scripts/index.bundle.js`
+ */
+const bundleUrlOf = (entry) => entry.replace(rJs, '.bundle.js');
+
+/**
+ * entry which the bundle is generated from
+ * @param  {String} url like `/book/static/scripts/index.bundle.js`
+ * @return {String}     like `/book/static/scripts/index.js`
+ */
+const entryUrlOf = (url) => url.replace(rBundle, '.js');
+
+const isBundle = (url) => rBundle.test(url);
+
+/**
+ * resolve script entries declared by `scripts` of yaml header or `.config.yml`
+ * @param  {String|Array} scripts like `./static/scripts/index.js` or [`/shared/static/scripts/app.js`]
+ * @param  {String} dir           url of dir of the file declaring them, relative to root, like `/book`
+ * @return {Array}                entry urls relative to root, like [`/book/static/scripts/index.js`]
+ */
+const resolveEntries = (scripts, dir) => {
+    return [].concat(scripts || []).filter(v => typeof v === 'string' && v).map(v => {
+        return v[0] === '/' ? path.posix.normalize(v) : path.posix.join(dir, v);
+    });
+};
+
+// webpack chunk name, like `book/static/scripts/index.bundle`
+const chunkName = (url) => url.slice(1, -path.extname(url).length);
+
+/**
+ * bundle script entries of pages with webpack and babel, all entries are bundled together,
+ * so modules shared by entries (even of different projects) go to the common chunk once.
+ * Bundles are kept in memory, and bundled again after entries are added or modules change.
+ */
+class ScriptBundler {
+    /**
+     * @param  {Object} options {root, common: url of common chunk, sourceMap,
+     *                          presets: babel presets, includePaths: dirs to resolve modules}
+     */
+    constructor(options) {
+        this.options = options;
+        // entry url --> bundle url
+        this.entries = {};
+        // files bundled last time, used to invalidate bundles
+        this.files = [];
+        // url --> content, like bundles, common chunk and source maps
+        this.assets = null;
+        this.pending = null;
+        this.version = 0;
+    }
+    /**
+     * add script entries
+     * @param  {Array} entries entry urls relative to root, like [`/book/static/scripts/index.js`]
+     * @return {Object}        entry url --> bundle url
+     */
+    add(entries) {
+        const res = {};
+        entries.forEach(entry => {
+            if (!this.entries[entry]) {
+                debug('add entry %s', entry);
+                this.entries[entry] = bundleUrlOf(entry);
+                this.invalidate();
+            }
+            res[entry] = this.entries[entry];
+        });
+        return res;
+    }
+    /**
+     * whether the file is bundled
+     * @param  {String} file full url
+     * @return {Boolean}
+     */
+    has(file) {
+        return this.files.indexOf(file) > -1;
+    }
+    invalidate() {
+        this.version++;
+        this.assets = null;
+    }
+    /**
+     * bundle all entries, or get the bundles if nothing changes
+     * @return {Promise} promise with url --> content
+     */
+    bundle() {
+        if (this.assets) return Promise.resolve(this.assets);
+        if (!this.pending) {
+            const version = this.version;
+            this.pending = this.compile().then(assets => {
+                this.pending = null;
+                // entries added or modules changed while bundling
+                if (version !== this.version) return this.bundle();
+                this.assets = assets;
+                return assets;
+            }, err => {
+                this.pending = null;
+                throw err;
+            });
+        }
+        return this.pending;
+    }
+    compile() {
+        const options = this.options;
+        const entries = Object.keys(this.entries);
+        if (!entries.length) return Promise.resolve({});
+        // webpack is only required when there are scripts to bundle
+        const webpack = require('webpack');
+        const MemoryFS = require('memory-fs');
+        const entry = {};
+        entries.forEach(url => {
+            entry[chunkName(this.entries[url])] = '.' + url;
+        });
+        const compiler = webpack({
+            context: options.root,
+            entry,
+            output: {
+                path: '/',
+                publicPath: '/',
+                filename: '[name].js',
+                sourceMapFilename: '[file].map'
+            },
+            devtool: options.sourceMap ? 'source-map' : false,
+            module: {
+                loaders: [{
+                    test: /\.js$/,
+                    exclude: /node_modules/,
+                    loader: require.resolve('babel-loader'),
+                    query: {
+                        babelrc: false,
+                        presets: (options.presets || ['es2015']).map(name => require.resolve(`babel-preset-${name}`))
+                    }
+                }]
+            },
+            resolve: {
+                root: [options.root],
+                fallback: options.includePaths || []
+            },
+            plugins: [new webpack.optimize.CommonsChunkPlugin({
+                name: chunkName(options.common),
+                filename: '[name].js',
+                minChunks: 2
+            })]
+        });
+        const fs = compiler.outputFileSystem = new MemoryFS();
+        debug('bundle %d entries', entries.length);
+        return new Promise((resolve, reject) => {
+            compiler.run((err, stats) => {
+                if (err) return reject(err);
+                const compilation = stats.compilation;
+                this.files = compilation.fileDependencies.slice();
+                if (compilation.errors.length) {
+                    return reject(scriptError(compilation.errors[0], options.root));
+                }
+                const assets = {};
+                Object.keys(compilation.assets).forEach(name => {
+                    assets['/' + name] = fs.readFileSync('/' + name, 'utf8');
+                });
+                resolve(assets);
+            });
+        });
+    }
+}
+
+// error of bundling, located to the module if possible
+const scriptError = (err, root) => {
+    // errors of loaders are wrapped, like ModuleBuildError --> BabelLoaderError --> SyntaxError
+    let original = err;
+    while (original.error) original = original.error;
+    const loc = original.loc || {};
+    const file = err.module && err.module.resource || (err.origin && err.origin.resource);
+    // babel error starts with the file, and has code frame after the first line
+    let message = String(original.message || err.message).split('\n')[0];
+    if (file && message.indexOf(`${file}: `) === 0) message = message.slice(file.length + 2);
+    return new errors.RenderError(message, {
+        type: 'script',
+        file: file || root,
+        line: loc.line,
+        column: loc.column,
+        original: err
+    });
+};
+
+module.exports = {
+    bundleUrlOf,
+    entryUrlOf,
+    isBundle,
+    resolveEntries,
+    ScriptBundler
+};
@@ -1,7 +1,8 @@
 'use strict';
 
 const staticConfig = {
-    disableCache: true,
+    // cache is invalidated via `hbs.invalidate(file)`, only disable it when debugging
+    disableCache: false,
     root: process.cwd(),
     shared: './shared',
     extname: '.html',
@@ -9,6 +10,34 @@ const staticConfig = {
         return ['group'].indexOf(topDir) > -1;
     },
     preInstalledHelper: 'shared:preInstalledHelpers',
+    // unresolved helpers and undefined lookups throw instead of rendering nothing
+    strict: false,
+    // name of css bundles generated by csso, the content hash is added to it
+    cssBundle: '/shared/static/styles/components.css',
+    // sass files (`.scss`, `.sass`) are compiled to css, then autoprefixer adds vendor prefixes.
+    // `@import` is resolved from the file, root and includePaths
+    style: {
+        includePaths: [],
+        sourceMap: true,
+        autoprefixer: {
+            browsers: ['last 2 versions']
+        }
+    },
+    // page scripts declared by `scripts` (yaml header or `.config.yml`) are bundled with webpack and babel,
+    // like `/book/static/scripts/index.js` --> `index.bundle.js`, modules shared by entries go to the common chunk.
+    // modules are resolved from the file, root and includePaths
+    script: {
+        common: '/shared/static/scripts/common.bundle.js',
+        includePaths: [],
+        sourceMap: true,
+        presets: ['es2015']
+    },
+    // locales of pages, the first one is the default. dictionaries of the `t` helper are
+    // `<project>/<dir>/<locale>.yml` (merged over the ones of shared project)
+    i18n: {
+        locales: [],
+        dir: 'locales'
+    },
     configFileName: '.config.yml',
     onerror: (err, ctx, next) => {
         console.log('hbs render error: ', err.message);
@@ -0,0 +1,87 @@
+'use strict';
+
+const path = require('path');
+const glob = require('glob-all');
+const util = require('./util');
+
+// keys of yaml header used by the renderer, not custom metadata of pages
+const reservedKeys = ['layout', 'data', 'scenarios', 'scripts', 'paginate', 'permalink'];
+
+/**
+ * list views of all projects
+ * @param  {String} root     root dir
+ * @param  {Object} options  {extnames: extnames of views, like ['.html', '.md'], shared: shared project}
+ * @return {Promise}         promise with urls relative to root
+ */
+const list = (root, options) => {
+    const extnames = options.extnames;
+    const pattern = extnames.length > 1 ? `**/*{${extnames.join(',')}}` : `**/*${extnames[0]}`;
+    return new Promise((resolve, reject) => {
+        glob([pattern, `!${path.normalize(options.shared)}/**/*.*`, '!**/node_modules/**/*.*'], {
+            cwd: root
+        }, (err, files) => err ? reject(err) : resolve(files.map(path.normalize)));
+    });
+};
+
+/**
+ * page of the collection
+ * @param  {Object} info     {file: url relative to root, projectName, extname: extname of output,
+ *                           url: url of page generated by `paginate`, pagination: {number, total} of it}
+ * @param  {Object} metadata yaml header of the view
+ * @return {Object}          {url, project, title, tags, metadata}, url is like `/index/markdown.html`,
+ *                           pages generated by `paginate` have pagination too
+ */
+const pageOf = (info, metadata) => {
+    metadata = Object.assign({}, metadata);
+    reservedKeys.forEach(key => delete metadata[key]);
+    const file = info.file.slice(0, -path.extname(info.file).length) + info.extname;
+    const page = {
+        url: info.url || '/' + file.split(path.sep).join('/'),
+        project: info.projectName.split(path.sep).join('/'),
+        // file name if no title, like `markdown`
+        title: metadata.title == null ? path.basename(file, info.extname) : metadata.title,
+        tags: [].concat(metadata.tags || []).map(String),
+        metadata
+    };
+    if (info.pagination) page.pagination = info.pagination;
+    return page;
+};
+
+/**
+ * collection of pages, seen by templates as `site`
+ * @param  {Array} pages pages generated by pageOf
+ * @return {Object}      {pages: {project name: [page]}, tags: {tag: [page]}}
+ */
+const collect = (pages) => {
+    const res = {
+        pages: {},
+        tags: {}
+    };
+    pages.forEach(page => {
+        (res.pages[page.project] || (res.pages[page.project] = [])).push(page);
+        page.tags.forEach(tag => (res.tags[tag] || (res.tags[tag] = [])).push(page));
+    });
+    return res;
+};
+
+/**
+ * copy of the collection for a page, urls are under the locale prefix if any
+ * @param  {Object} site   collection
+ * @param  {String} prefix locale prefix, like `en`
+ * @return {Object}        collection
+ */
+const forPage = (site, prefix) => {
+    const copy = (page) => Object.assign({}, page, {
+        url: prefix ? `/${prefix}${page.url}` : page.url,
+        tags: page.tags.slice(),
+        metadata: util.clone(page.metadata)
+    });
+    return collect([].concat.apply([], Object.keys(site.pages).map(name => site.pages[name])).map(copy));
+};
+
+module.exports = {
+    list,
+    pageOf,
+    collect,
+    forPage
+};
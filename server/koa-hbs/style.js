@@ -0,0 +1,120 @@
+'use strict';
+
+const path = require('path');
+const postcss = require('postcss');
+const autoprefixer = require('autoprefixer');
+const sass = require('sass');
+const errors = require('./errors');
+
+// sass files are compiled to css, `_*.scss` are partials only imported by others
+const rSass = /\.s[ac]ss$/i;
+const rIndented = /\.sass$/i;
+const rCss = /\.css$/i;
+
+const isSass = (file) => rSass.test(file);
+const isStyle = (file) => rCss.test(file) || isSass(file);
+const isSassPartial = (file) => isSass(file) && path.basename(file)[0] === '_';
+
+/**
+ * url of compiled css
+ * @param  {String} file like `/book/static/styles/book.scss`
+ * @return {String}      like `/book/static/styles/book.css`, css url is returned as it is
+ */
+const cssUrlOf = (file) => file.replace(rSass, '.css');
+
+/**
+ * sass files which compile to the css url
+ * @param  {String} file like `/book/static/styles/book.css`
+ * @return {Array}       like [`/book/static/styles/book.scss`, `/book/static/styles/book.sass`]
+ */
+const sassUrlsOf = (file) => ['.scss', '.sass'].map(ext => file.replace(rCss, ext));
+
+/**
+ * add vendor prefixes via autoprefixer
+ * @param  {String} css     css content
+ * @param  {Object} options {from, to: full urls, used by source map;
+ *                          map: source map of css (JSON string), or true to generate one, falsy for no map;
+ *                          autoprefixer: options of autoprefixer, like {browsers: ['last 2 versions']}}
+ * @return {Object}         {css, map: JSON string or null}
+ */
+const prefix = (css, options) => {
+    options = options || {};
+    const result = postcss([autoprefixer(options.autoprefixer)]).process(css, {
+        from: options.from,
+        to: options.to,
+        map: options.map ? {
+            prev: typeof options.map === 'string' ? options.map : undefined,
+            inline: false,
+            annotation: false,
+            sourcesContent: true
+        } : false
+    });
+    return {
+        css: result.css,
+        map: result.map ? result.map.toString() : null
+    };
+};
+
+/**
+ * compile sass file to css, then add vendor prefixes. It's sync, so helpers (like `csso`) could use it.
+ * @param  {String} file    full url of `.scss` or `.sass`
+ * @param  {Object} options {includePaths: dirs to resolve `@import`, sourceMap: whether to generate source map,
+ *                          autoprefixer: options of autoprefixer}
+ * @return {Object}         {css, map: JSON string or null, files: full urls of imported files}
+ */
+const compile = (file, options) => {
+    options = options || {};
+    const outFile = cssUrlOf(file);
+    let result;
+    try {
+        result = sass.renderSync({
+            file,
+            outFile,
+            outputStyle: 'expanded',
+            indentedSyntax: rIndented.test(file),
+            includePaths: options.includePaths || [],
+            sourceMap: !!options.sourceMap,
+            sourceMapContents: true,
+            omitSourceMapUrl: true
+        });
+    } catch (err) {
+        // error of sass has file, line and column (1-based)
+        throw new errors.RenderError(err.message, {
+            type: 'style',
+            file: err.file && err.file !== 'stdin' ? path.resolve(err.file) : file,
+            line: err.line,
+            column: err.column && err.column - 1,
+            original: err
+        });
+    }
+    let res;
+    try {
+        res = prefix(result.css.toString(), {
+            from: file,
+            to: outFile,
+            map: options.sourceMap && (result.map ? result.map.toString() : true),
+            autoprefixer: options.autoprefixer
+        });
+    } catch (err) {
+        throw new errors.RenderError(err.message, {
+            type: 'style',
+            file,
+            original: err
+        });
+    }
+    return {
+        css: res.css,
+        map: res.map,
+        files: result.stats.includedFiles.map(v => path.resolve(v)).filter(v => v !== file)
+    };
+};
+
+module.exports = {
+    isSass,
+    isStyle,
+    isSassPartial,
+    cssUrlOf,
+    sassUrlsOf,
+    prefix,
+    compile
+};
@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const yaml = require('yamljs');
 
 /**
@@ -18,6 +19,17 @@ const read = (filename, options) => {
     });
 };
 
+/**
+ * list file names in dir
+ * @param  {String} dir dir path
+ * @return {Object}     promise
+ */
+const readdir = (dir) => {
+    return new Promise((resolve, reject) => {
+        fs.readdir(dir, (err, files) => err ? reject(err) : resolve(files));
+    });
+};
+
 const readSync = fs.readFileSync;
 const writeSync = fs.writeFileSync;
 
@@ -32,14 +44,16 @@ const exist = (filename) => {
     });
 };
 
-const parseRe = /^\s*\-{3,3}([\S\s]+?)\-{3,3}/i;
+// yaml header: `---` lines at the beginning, `---` inside a line (like `title: a --- b`) doesn't end it,
+// and the header starts right after the first line, so lines of yaml errors are lines of the file
+const parseRe = /^\s*-{3}[ \t]*\r?\n(?:([\S\s]*?)\r?\n)?-{3}[ \t]*(?=\r?\n|$)/;
 const parseYaml = (content) => {
     return yaml.parse(content + '');
 };
 const parseMixedYaml = (content) => {
     let res = parseRe.exec(content);
     return res ? {
-        metadata: parseYaml(res[1]),
+        metadata: parseYaml(res[1] || ''),
         content: content.slice(res[0].length)
     } : {
         content: content
@@ -83,6 +97,21 @@ const isObject = (obj) => {
     return Object.prototype.toString.call(obj) === '[object Object]';
 };
 
+// deep copy plain objects and arrays
+const clone = (obj) => {
+    if (Array.isArray(obj)) {
+        return obj.map(clone);
+    }
+    if (isObject(obj)) {
+        let ret = {};
+        for (let prop in obj) {
+            ret[prop] = clone(obj[prop]);
+        }
+        return ret;
+    }
+    return obj;
+};
+
 const isPlainObject = (obj) => {
     if (!obj || !Object.prototype.isPrototypeOf(obj)) return false;
     for (let prop in obj) {
@@ -114,6 +143,8 @@ const parseString = (str) => {
     return map;
 };
 
+const hash = (content) => crypto.createHash('md5').update(content).digest('hex');
+
 const genUniqueKey = () => Date.now().toString() + Math.random().toString().slice(-4);
 
 /**
@@ -153,8 +184,11 @@ const parseUrl = (url, isProjectGroup) => {
 module.exports = {
     merge,
     mergeFields,
+    clone,
+    isObject,
     isPlainObject,
     read,
+    readdir,
     readSync,
     writeSync,
     exist,
@@ -162,6 +196,7 @@ module.exports = {
     parseMixedYaml,
     parseString,
     sharedPathRe: /^shared:/i,
+    hash,
     genUniqueKey,
     accessDeepProperty,
     parseUrl
@@ -0,0 +1,154 @@
+'use strict';
+
+const path = require('path');
+const PassThrough = require('stream').PassThrough;
+const EventEmitter = require('events');
+const chokidar = require('chokidar');
+const debug = require('debug')('livereload');
+const style = require('./koa-hbs/style');
+
+// injected to every rendered page (including pages inside the `/viewer` iframe)
+const genClientScript = (url) => `<script>
+(function() {
+    if (!window.EventSource) return;
+    var source = new EventSource('${url}');
+    source.addEventListener('reload', function() {
+        location.reload();
+    });
+    // swap stylesheets in place, no full reload. data is list of [old url, new url]
+    source.addEventListener('css', function(ev) {
+        var changes = JSON.parse(ev.data);
+        [].forEach.call(document.querySelectorAll('link[rel="stylesheet"]'), function(link) {
+            var href = link.getAttribute('href').split('?')[0];
+            changes.forEach(function(change) {
+                if (change[0] === href) {
+                    link.setAttribute('href', change[1] + '?__t__=' + Date.now());
+                }
+            });
+        });
+    });
+})();
+</script>`;
+
+// path relative to root, always with '/', same as the url in browser
+const toUrl = (root, file) => '/' + path.relative(root, file).split(path.sep).join('/');
+
+/**
+ * watch files under `hbs.options.root`, drop caches of changed files (and files depending on them),
+ * and tell what browsers should do: `reload` the page, or swap changed stylesheets (`css`)
+ * @param  {Object} hbs     Hbs instance used to render pages
+ * @param  {Object} options {delay: debounce time(ms), watch: false to not watch files, like in tests}
+ * @return {Object}         EventEmitter emitting `reload` and `css` (list of [old url, new url]),
+ *                          `update(files)` handles changed files at once, `close()` stops watching
+ */
+const watch = (hbs, options) => {
+    options = options || {};
+    const delay = options.delay == null ? 100 : options.delay;
+    const root = hbs.options.root;
+    const emitter = new EventEmitter();
+
+    emitter.update = (files) => {
+        let cssChanges = [];
+        let shouldReload = false;
+        files.forEach(file => {
+            // css inlined via `{{csso inline=true}}` is part of pages depending on it
+            if (style.isStyle(file) && hbs.graph.dependentsOf(file).every(style.isStyle)) {
+                // compiled sass (and sass importing it) is dropped from cache,
+                // component css imported via cssx only need to rebuild the bundle
+                hbs.invalidate(file).forEach(v => {
+                    let url = toUrl(root, v);
+                    let bundles;
+                    try {
+                        bundles = hbs.rebuildCssBundles(url);
+                    } catch (err) {
+                        // like sass syntax error, reload so the page shows it
+                        debug('rebuild css bundles failed: %s', err.message);
+                        shouldReload = true;
+                        return;
+                    }
+                    if (bundles.length) {
+                        cssChanges = cssChanges.concat(bundles);
+                    } else if (!style.isSassPartial(url)) {
+                        cssChanges.push([style.cssUrlOf(url), style.cssUrlOf(url)]);
+                    }
+                });
+            } else {
+                hbs.invalidate(file);
+                shouldReload = true;
+            }
+        });
+        shouldReload ? emitter.emit('reload') : emitter.emit('css', cssChanges);
+    };
+
+    let changed = [];
+    let timer;
+    const onChange = (file) => {
+        debug('file changed: %s', hbs.readableUrl(file));
+        changed.indexOf(file) === -1 && changed.push(file);
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const files = changed;
+            changed = [];
+            emitter.update(files);
+        }, delay);
+    };
+
+    const watcher = options.watch === false ? null : chokidar.watch(root, {
+        ignoreInitial: true,
+        // `._*` files are macOS metadata
+        ignored: /(node_modules|[\/\\]\._[^\/\\]*$)/
+    }).on('add', onChange).on('change', onChange).on('unlink', onChange);
+    emitter.close = () => {
+        clearTimeout(timer);
+        watcher && watcher.close();
+    };
+    return emitter;
+};
+
+/**
+ * live reload middleware, notify connected browsers of changes found by `watch`
+ * @param  {Object} watcher returned by `watch`
+ * @param  {Object} options {path: url of the event stream}
+ * @return {Function}       koa middleware
+ */
+const livereload = (watcher, options) => {
+    options = options || {};
+    const streamUrl = options.path || '/__livereload__';
+    const clients = new Set();
+    const script = genClientScript(streamUrl);
+
+    const send = (event, data) => {
+        debug('send %s to %d client(s), data is %o', event, clients.size, data);
+        const message = `event: ${event}\ndata: ${JSON.stringify(data || null)}\n\n`;
+        clients.forEach(stream => stream.write(message));
+    };
+    watcher.on('reload', () => send('reload'));
+    watcher.on('css', changes => send('css', changes));
+
+    return (ctx, next) => {
+        if (ctx.path === streamUrl) {
+            const stream = new PassThrough();
+            ctx.req.socket.setTimeout(0);
+            ctx.type = 'text/event-stream';
+            ctx.set('Cache-Control', 'no-cache');
+            ctx.set('Connection', 'keep-alive');
+            ctx.body = stream;
+            // a comment line, so headers are sent and the browser knows it's connected
+            stream.write(': connected\n\n');
+            clients.add(stream);
+            const close = () => clients.delete(stream);
+            ctx.req.on('close', close);
+            ctx.req.on('error', close);
+            return;
+        }
+        return next().then(() => {
+            // only full pages, not partial html like `/components/project/component/state`
+            if (typeof ctx.body === 'string' && /<\/body>/.test(ctx.body)) {
+                ctx.body = ctx.body.replace(/<\/body>/, script + '</body>');
+            }
+        });
+    };
+};
+
+module.exports = livereload;
+module.exports.watch = watch;
@@ -0,0 +1,126 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const build = require('../tools/build');
+const util = require('../tools/util');
+const config = require('../config');
+
+describe('static build', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-src-'));
+    const dest = fs.mkdtempSync(path.join(os.tmpdir(), 'build-dest-'));
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(root, file)), {
+            recursive: true
+        });
+        fs.writeFileSync(path.join(root, file), content);
+    };
+    const read = (file) => fs.readFileSync(path.join(dest, file), 'utf8');
+    const exists = (file) => fs.existsSync(path.join(dest, file));
+    // outputs are changed after build, they are kept only if the page is not built again
+    const stale = (files) => files.forEach(file => fs.writeFileSync(path.join(dest, file), 'stale'));
+    const run = (hbs) => build({
+        hbs: util.merge(util.clone(config.hbs), {
+            root,
+            preInstalledHelper: null,
+            i18n: {
+                locales: []
+            }
+        }, hbs),
+        dest,
+        incremental: true,
+        concurrency: 2
+    }).then(result => {
+        assert.deepEqual(result.failures, {});
+        return result;
+    });
+
+    write('home/index.html', '---\nlayout: false\n---\n<h1>home</h1>{{> nav}}');
+    write('home/about.html', '---\nlayout: false\n---\n<h1>about</h1>');
+    write('home/partials/nav.html', '<nav>first</nav>');
+    write('home/static/images/logo.png', 'png');
+
+    it('builds pages and records their inputs in the manifest', () => {
+        return run().then(result => {
+            assert.equal(read('home/index.html').trim(), '<h1>home</h1><nav>first</nav>');
+            assert.equal(read('home/about.html').trim(), '<h1>about</h1>');
+            assert(exists('home/static/images/logo.png'));
+            assert(!exists('home/partials/nav.html'));
+            const entry = result.manifest.pages[path.join('home', 'index.html')];
+            assert.equal(entry.output, path.join('home', 'index.html'));
+            assert(entry.inputs[path.join('home', 'partials', 'nav.html')]);
+            // not existing project config is recorded too, the page is out of date once it's added
+            assert.strictEqual(entry.inputs[path.join('home', '.config.yml')], null);
+            assert.deepEqual(JSON.parse(read('.build-manifest.json')), result.manifest);
+        });
+    });
+
+    it('only builds pages whose inputs changed', () => {
+        stale(['home/index.html', 'home/about.html']);
+        return run().then(() => {
+            assert.equal(read('home/index.html'), 'stale');
+            assert.equal(read('home/about.html'), 'stale');
+            write('home/partials/nav.html', '<nav>second</nav>');
+            return run();
+        }).then(() => {
+            assert.equal(read('home/index.html').trim(), '<h1>home</h1><nav>second</nav>');
+            assert.equal(read('home/about.html'), 'stale');
+        });
+    });
+
+    it('builds all pages when config affecting outputs changes', () => {
+        stale(['home/index.html', 'home/about.html']);
+        return run({
+            templateOptions: {
+                preventIndent: false
+            }
+        }).then(result => {
+            assert.equal(read('home/index.html').trim(), '<h1>home</h1><nav>second</nav>');
+            assert.equal(read('home/about.html').trim(), '<h1>about</h1>');
+            stale(['home/about.html']);
+            return run({
+                defaultLayout: 'shared:other'
+            });
+        }).then(() => {
+            assert.equal(read('home/about.html').trim(), '<h1>about</h1>');
+        });
+    });
+
+    it('prunes outputs of deleted sources', () => {
+        fs.unlinkSync(path.join(root, 'home/about.html'));
+        fs.unlinkSync(path.join(root, 'home/static/images/logo.png'));
+        return run().then(result => {
+            assert(!exists('home/about.html'));
+            assert(!exists('home/static/images/logo.png'));
+            assert(exists('home/index.html'));
+            assert.deepEqual(Object.keys(result.manifest.pages), [path.join('home', 'index.html')]);
+            assert.deepEqual(result.manifest.assets, {});
+        });
+    });
+});
+
+describe('parallel', () => {
+    it('runs tasks with limited concurrency, results in order', () => {
+        let running = 0;
+        let max = 0;
+        const tasks = [30, 10, 20, 0, 10].map((delay, i) => () => {
+            max = Math.max(max, ++running);
+            return new Promise(resolve => setTimeout(resolve, delay)).then(() => {
+                running--;
+                return i;
+            });
+        });
+        return util.parallel(tasks, 2).then(res => {
+            assert.deepEqual(res, [0, 1, 2, 3, 4]);
+            assert.equal(max, 2);
+            running = max = 0;
+            return util.parallel(tasks, 0);
+        }).then(res => {
+            assert.deepEqual(res, [0, 1, 2, 3, 4]);
+            // at least one
+            assert.equal(max, 1);
+        });
+    });
+});
@@ -0,0 +1,265 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const childProcess = require('child_process');
+const component = require('../server/koa-hbs/component');
+const newComponent = require('../tools/newComponent');
+const util = require('../server/koa-hbs/util');
+const config = require('../config');
+const helpers = require('./helpers');
+
+const validate = component.validate;
+
+describe('component.json', () => {
+    it('accepts components of the repo', () => {
+        ['flightInfo', 'passenger'].forEach(name => {
+            const url = path.join(config.staticRoot, 'book/partials/components', name, 'component.json');
+            assert.deepEqual(validate(JSON.parse(fs.readFileSync(url, 'utf8'))), []);
+        });
+    });
+
+    it('reports wrong fields with clear messages', () => {
+        assert.deepEqual(validate({
+            name: 1,
+            type: 'd',
+            states: {
+                default: {
+                    file: 'base',
+                    name: 'base',
+                    data: []
+                },
+                error: 'error'
+            }
+        }), [
+            '"name" should be string, got number',
+            '"template" is required when "type" is "d"',
+            '"states.default.data" should be object or string or null, got array',
+            '"states.error" should be object, got string'
+        ]);
+        assert.deepEqual(validate({
+            name: 'card',
+            type: 's',
+            states: {},
+            _state: 'open'
+        }), ['"states" should have at least one state']);
+        assert.deepEqual(validate({
+            name: 'card',
+            type: 's',
+            states: {
+                open: {
+                    file: 'open',
+                    name: 'open'
+                }
+            }
+        }), ['"states.default" is required when "_state" is not set']);
+        assert.deepEqual(validate([]), ['component.json should be an object, got array']);
+    });
+});
+
+describe('component key', () => {
+    const source = {
+        name: 'tag',
+        type: 's',
+        states: {
+            default: {
+                file: 'base',
+                name: 'base'
+            }
+        }
+    };
+
+    it('derives key and fields from path, without changing the source', () => {
+        const res = component.normalize(source, path.join('book/partials/components/tag/component.json'));
+        assert.equal(res._key, component.genKey('book/partials/components/tag'));
+        assert(/^_component_[0-9a-f]{16}$/.test(res._key));
+        assert.equal(res._id, 'tag');
+        assert.equal(res._state, 'default');
+        assert.equal(res._stateFile, 'base');
+        assert.equal(res.configFile, 'book/partials/components/tag/component.json');
+        assert.equal(source._key, undefined);
+        // same path always gets the same key, other paths get others
+        assert.equal(component.normalize(source, 'book/partials/components/tag/component.json')._key, res._key);
+        assert.notEqual(component.normalize(source, 'index/partials/components/tag/component.json')._key, res._key);
+    });
+
+    it('keeps key existing in component.json', () => {
+        const res = component.normalize(Object.assign({
+            _key: '_component_14628652118600244'
+        }, source), 'book/partials/components/tag/component.json');
+        assert.equal(res._key, '_component_14628652118600244');
+    });
+
+    it('renders component included by page with the derived key', () => {
+        const file = path.join(helpers.root, 'alpha/partials/components/tag/component.json');
+        const content = fs.readFileSync(file, 'utf8');
+        return helpers.render(helpers.createHbs(), '/alpha/tag.html').then(res => {
+            assert(res.html.indexOf(`__component_key__=${component.genKey('alpha/partials/components/tag')}`) > -1);
+            assert(res.html.indexOf('<span>alpha tag default</span>') > -1);
+            assert.equal(fs.readFileSync(file, 'utf8'), content);
+        });
+    });
+});
+
+describe('components map', () => {
+    it('is generated from component.json of the project', () => {
+        const hbs = helpers.createHbs();
+        return hbs.loadComponentsMap('alpha').then(map => {
+            assert.deepEqual(Object.keys(map.components).sort(), ['badge', 'card', 'tag']);
+            // existing key is kept, others are derived
+            assert.equal(map.keyComponentMap._component_alpha, 'card');
+            assert.equal(map.keyComponentMap[component.genKey('alpha/partials/components/tag')], 'tag');
+            return hbs.renderComponent('alpha/tag/default', {});
+        }).then(html => {
+            assert(html.indexOf('<span>alpha tag default</span>') > -1);
+        });
+    });
+
+    it('reports invalid component.json when listing maps of all projects', () => {
+        const hbs = helpers.createHbs();
+        return hbs.loadComponentsMaps().then(() => assert.fail('should reject'), err => {
+            assert.equal(err.type, 'data');
+            // both card (json syntax) and badge (schema) of broken are invalid
+            assert(['card', 'badge'].some(name => {
+                return err.file === path.join(helpers.root, 'broken/partials', name, 'component.json');
+            }));
+        });
+    });
+
+    it('is refreshed when component.json is added or changed', () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'components-map-'));
+        const hbs = helpers.createHbs({
+            root,
+            preInstalledHelper: null
+        });
+        const write = (name, title) => {
+            const url = path.join(root, 'demo/partials/components', name, 'component.json');
+            fs.mkdirSync(path.dirname(url), {
+                recursive: true
+            });
+            fs.writeFileSync(url, JSON.stringify({
+                name: title,
+                type: 's',
+                states: {
+                    default: {
+                        file: 'default',
+                        name: 'default'
+                    }
+                }
+            }));
+            return url;
+        };
+        const x = write('x', 'x');
+        return hbs.loadComponentsMap('demo').then(map => {
+            assert.deepEqual(Object.keys(map.components), ['x']);
+            hbs.invalidate(write('y', 'y'));
+            return hbs.loadComponentsMap('demo');
+        }).then(map => {
+            assert.deepEqual(Object.keys(map.components).sort(), ['x', 'y']);
+            write('x', 'new x');
+            hbs.invalidate(x);
+            return hbs.loadComponentsMap('demo');
+        }).then(map => {
+            assert.equal(map.components.x.name, 'new x');
+            return hbs.loadComponentsMaps();
+        }).then(maps => {
+            assert.deepEqual(Object.keys(maps), ['demo']);
+            assert.deepEqual(Object.keys(maps.demo.components).sort(), ['x', 'y']);
+        });
+    });
+});
+
+describe('component state data', () => {
+    const hbs = helpers.createHbs();
+    const render = (url) => helpers.render(hbs, url).then(res => res.html);
+
+    it('merges inline data or data file of the state into component preview', () => {
+        return hbs.renderComponent('alpha/tag/default', {}).then(html => {
+            assert(html.indexOf('<em>inline label</em>') > -1);
+            return hbs.renderComponent('alpha/tag/error', {});
+        }).then(html => {
+            assert(html.indexOf('<span>alpha tag error</span><em>name is required</em>') > -1);
+        });
+    });
+
+    it('merges data of the included state into page, data of the page wins', () => {
+        return render('/alpha/tag.html').then(html => {
+            assert(html.indexOf('<em>inline label</em>') > -1);
+            return render('/alpha/tag-error.html');
+        }).then(html => {
+            assert(html.indexOf('<em>page message</em>') > -1);
+        });
+    });
+
+    it('scopes data of the state to the component, not leaked into page', () => {
+        return render('/alpha/tag-badge.html').then(html => {
+            assert(html.indexOf('<em>inline label</em>') > -1);
+            assert(html.indexOf('<b>badge label</b>') > -1);
+            assert(html.indexOf('<i></i>') > -1);
+        });
+    });
+});
+
+describe('new-component', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'new-component-'));
+    const hbs = util.merge({}, config.hbs, {
+        root
+    });
+    const dir = path.join(root, 'book/partials/components/calendar');
+
+    it('scaffolds component dir', () => {
+        return newComponent('book/calendar', {
+            states: ['default', 'selected'],
+            hbs
+        }).then(files => {
+            assert.deepEqual(files.sort(), ['calendar.css', 'component.json', 'default.html', 'index.html',
+                'selected.html'].map(v => path.join('book/partials/components/calendar', v)));
+            const component = JSON.parse(fs.readFileSync(path.join(dir, 'component.json'), 'utf8'));
+            assert.deepEqual(validate(component), []);
+            assert.equal(component.template, 'index');
+            const container = fs.readFileSync(path.join(dir, 'index.html'), 'utf8');
+            assert(container.indexOf('{{> (relative __c_calendar__._stateFile) }}') > -1);
+            assert(container.indexOf(`{{cssx '/book/partials/components/calendar/calendar.css'}}`) > -1);
+        });
+    });
+
+    it('refuses to overwrite existing component', () => {
+        return newComponent('book/calendar', {
+            hbs
+        }).then(() => assert.fail('should reject'), err => {
+            assert(/already exists/.test(err.message));
+            assert.equal(err.code, undefined);
+        });
+    });
+
+    it('rejects invalid type', () => {
+        return newComponent('book/tabs', {
+            type: 'x',
+            hbs
+        }).then(() => assert.fail('should reject'), err => {
+            assert(/"type" should be one of/.test(err.message));
+            assert.equal(err.code, 'EINVALID');
+            assert.throws(() => fs.statSync(path.join(root, 'book/partials/components/tabs')));
+        });
+    });
+
+    it('prints errors to stderr, with usage only for invalid arguments', () => {
+        const run = (args) => childProcess.spawnSync(process.execPath,
+            [path.join(__dirname, '../tools/newComponent.js')].concat(args), {
+                encoding: 'utf8'
+            });
+        let res = run(['calendar']);
+        assert.equal(res.status, 1);
+        assert.equal(res.stdout, '');
+        assert(/should be like `<project>\/<name>`/.test(res.stderr));
+        assert(/usage: npm run new-component/.test(res.stderr));
+        // components of the repo
+        res = run(['book/passenger']);
+        assert.equal(res.status, 1);
+        assert.equal(res.stdout, '');
+        assert(/already exists/.test(res.stderr));
+        assert.equal(res.stderr.indexOf('usage'), -1);
+    });
+});
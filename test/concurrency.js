@@ -0,0 +1,89 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./helpers');
+
+const projects = ['alpha', 'beta', 'group/gamma'];
+
+const createHbs = helpers.createHbs;
+const render = (hbs, url) => helpers.render(hbs, url).then(res => res.html);
+
+const renderComponent = (hbs, url) => hbs.renderComponent(url, {});
+
+// the output must only contain content of its own project
+const checkPage = (html, project) => {
+    const name = project.split('/').pop();
+    assert(html.indexOf(`<title>${name}</title>`) > -1, `${project}: wrong title`);
+    assert(html.indexOf(`<footer>${name} footer</footer>`) > -1, `${project}: wrong footer`);
+    assert(new RegExp(`<p>${name} item: ${name} (data|metadata)</p>`).test(html), `${project}: wrong item`);
+    if (name !== 'gamma') {
+        assert(html.indexOf(`<span>${name} card default</span>`) > -1, `${project}: wrong card state`);
+        assert(html.indexOf(`_component_${name}`) > -1, `${project}: wrong component data`);
+    }
+    projects.filter(v => v !== project).forEach(other => {
+        assert(html.indexOf(other.split('/').pop()) === -1, `${project}: output contains ${other}`);
+    });
+};
+
+const checkComponent = (html, project, state) => {
+    assert(html.indexOf(`<span>${project} card ${state}</span>`) > -1, `${project}/card/${state}: wrong state`);
+    assert(html.indexOf(`_component_${project}`) > -1, `${project}/card/${state}: wrong key`);
+};
+
+const genTasks = (hbs, count) => {
+    const tasks = [];
+    for (let i = 0; i < count; i++) {
+        let project = projects[i % projects.length];
+        if (i % 2) {
+            tasks.push(render(hbs, `/${project}/`).then(html => checkPage(html, project)));
+        } else if (project !== 'group/gamma') {
+            let state = i % 4 ? 'error' : 'default';
+            tasks.push(renderComponent(hbs, `${project}/card/${state}`)
+                .then(html => checkComponent(html, project, state)));
+        }
+    }
+    return tasks;
+};
+
+describe('concurrent rendering', () => {
+    it('renders each project correctly one by one', () => {
+        const hbs = createHbs();
+        let promise = Promise.resolve();
+        projects.forEach(project => {
+            promise = promise.then(() => render(hbs, `/${project}/`))
+                .then(html => checkPage(html, project));
+        });
+        return promise;
+    });
+
+    it('renders pages and components of different projects in parallel', () => {
+        return Promise.all(genTasks(createHbs(), 60));
+    });
+
+    it('renders in parallel with cache disabled', () => {
+        return Promise.all(genTasks(createHbs({
+            disableCache: true
+        }), 60));
+    });
+
+    it('resolves helpers of the same name to the file of each project', () => {
+        const hbs = createHbs();
+        const tasks = [];
+        for (let i = 0; i < 20; i++) {
+            tasks.push(render(hbs, i % 2 ? '/beta/fmt.html' : '/alpha/fmt.html'));
+        }
+        return Promise.all(tasks).then(list => {
+            list.forEach((html, i) => assert.equal(html.trim(), i % 2 ? '<p>b: B</p>' : '<p>a: A</p>'));
+            // not registered on the instance, so not seen by other projects
+            assert.equal(hbs.handlebars.helpers.fmt, undefined);
+            return render(hbs, '/alpha/fmt.html');
+        }).then(html => {
+            assert.equal(html.trim(), '<p>a: A</p>');
+        });
+    });
+
+    it('renders in parallel after cache warmed up', () => {
+        const hbs = createHbs();
+        return Promise.all(genTasks(hbs, 6)).then(() => Promise.all(genTasks(hbs, 60)));
+    });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('assert');
+const css = require('../server/koa-hbs/css');
+const helpers = require('./helpers');
+
+describe('css', () => {
+    it('rewrites relative urls to the dir using the css', () => {
+        const content = '.a{background:url(../images/a.png)}\n.b{background:url("img/b.png?v=1")}';
+        assert.equal(css.rewriteUrls(content, '/book/static/styles', '/shared/static/styles'),
+            '.a{background:url(../../../book/static/images/a.png)}\n' +
+            '.b{background:url("../../../book/static/styles/img/b.png?v=1")}');
+        assert.equal(css.rewriteUrls(content, '/book/static/styles', '/book/static/styles'), content);
+        // absolute urls, data uris and fragments are kept
+        const absolute = '.a{background:url(/a.png)}.b{background:url(data:image/png;base64,AA==)}' +
+            '.c{background:url(https://x.com/c.png)}.d{filter:url(#blur)}';
+        assert.equal(css.rewriteUrls(absolute, '/book/static/styles', '/shared'), absolute);
+    });
+
+    it('minifies css, strings are kept as they are', () => {
+        assert.equal(css.minify('/* comment */\n.a > b ,\n.c {\n    color: red;\n    content: "x  ;  }";\n}\n' +
+            '@media screen {\n    .d { margin: 0 auto; }\n}\n'),
+            '.a>b,.c{color:red;content:"x  ;  }"}@media screen{.d{margin:0 auto}}');
+        assert.equal(css.minify(''), '');
+    });
+});
+
+describe('css bundle', () => {
+    const files = {
+        '/root/a/a.css': '@charset "utf-8";\n.a { color: red; }\n/* shared */\n.shared {\n    margin: 0;\n}\n',
+        '/root/b/b.css': '@import url(base.css);\n.b{content:"}"}\n.shared { margin: 0; }\n@media print {\n    .a { color: red; }\n}\n'
+    };
+    const read = (url) => files[url];
+
+    it('splits css to top level rules, comments are dropped', () => {
+        assert.deepEqual(css.splitRules(files['/root/b/b.css']), [
+            '@import url(base.css);',
+            '.b{content:"}"}',
+            '.shared { margin: 0; }',
+            '@media print {\n    .a { color: red; }\n}'
+        ]);
+        assert.deepEqual(css.splitRules('/* only comment */\n'), []);
+    });
+
+    it('removes duplicate rules, keeps source order, hoists @charset and @import', () => {
+        assert.equal(css.bundle(['/a/a.css', '/b/b.css', '/a/a.css'], '/root', '/shared', read), [
+            '@charset "utf-8";',
+            '@import url(../b/base.css);',
+            '.a { color: red; }',
+            '.shared {\n    margin: 0;\n}',
+            '.b{content:"}"}',
+            '@media print {\n    .a { color: red; }\n}'
+        ].join('\n'));
+        // source order decides which rule wins
+        assert.equal(css.bundle(['/b/b.css', '/a/a.css'], '/root', '/b', read).split('\n').slice(2, 4).join('\n'),
+            '.b{content:"}"}\n.shared { margin: 0; }');
+    });
+
+    it('names bundles by content hash, same files get the same name', () => {
+        const hbs = helpers.createHbs();
+        const list = ['/alpha/static/styles/card.css', '/alpha/docs/guide/guide.css'];
+        const url = hbs.bundleCss(list);
+        assert(/^\/shared\/static\/styles\/components\.[0-9a-f]{8}\.css$/.test(url), url);
+        assert.equal(hbs.bundleCss(list.slice()), url);
+        assert.equal(helpers.createHbs().bundleCss(list), url);
+        assert(hbs.cssBundles[url].content.indexOf('url(../../../alpha/static/images/card.png)') > -1);
+        // other order or other name, other bundle
+        assert.notEqual(hbs.bundleCss(list.slice().reverse()), url);
+        assert(/^\/alpha\/static\/bundle\.[0-9a-f]{8}\.css$/.test(hbs.bundleCss(list, '/alpha/static/bundle.css')));
+    });
+});
+
+describe('csso inline', () => {
+    it('inlines styles imported via cssx into the page, minified if asked', () => {
+        return helpers.render(helpers.createHbs(), '/alpha/docs/guide/inline.html').then(res => {
+            // deduplicated, urls are relative to the page in the nested dir
+            assert.equal(res.html.trim(), '<style>\n.card{background:url(../../static/images/card.png)}' +
+                '.guide>a{content:"a  b";background:url(images/arrow.png)}\n</style>');
+        });
+    });
+
+    it('keeps the css as it is without minify', () => {
+        const hbs = helpers.createHbs();
+        assert.equal(hbs.inlineCss(['/alpha/docs/guide/guide.css'], '/alpha/docs/index.html'),
+            '.guide > a {\n    content: "a  b";\n    background: url(guide/images/arrow.png);\n}');
+    });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./helpers');
+
+const expectedScenarios = {
+    '/alpha/sources.html': ['vip'],
+    '/alpha/namespaces.html': ['guest', 'mocked', 'vip']
+};
+
+const render = (url, scenario) => {
+    return helpers.render(helpers.createHbs(), url, {
+        query: {
+            __scenario__: scenario
+        }
+    }).then(res => {
+        assert.deepEqual(res.state.scenarios.sort(), expectedScenarios[url]);
+        return res.html.trim();
+    });
+};
+
+describe('data sources', () => {
+    it('merges list of json, yml and js data in order', () => {
+        return render('/alpha/sources.html').then(html => {
+            assert.equal(html, '<p>alpha mock|alpha user|true|alpha data</p>');
+        });
+    });
+
+    it('namespaces map of data, js function receives the page state', () => {
+        return render('/alpha/namespaces.html').then(html => {
+            assert.equal(html, '<p>alpha user@alpha|alpha mock|true|alpha data</p>');
+        });
+    });
+
+    it('merges data of file scenario over the data', () => {
+        return render('/alpha/sources.html', 'vip').then(html => {
+            assert.equal(html, '<p>alpha mock|alpha user|true|alpha vip</p>');
+        });
+    });
+
+    it('merges data of yaml header scenario over the data', () => {
+        return Promise.all([
+            render('/alpha/namespaces.html', 'guest').then(html => {
+                assert.equal(html, '<p>guest@alpha|alpha mock|true|alpha data</p>');
+            }),
+            render('/alpha/namespaces.html', 'mocked').then(html => {
+                assert.equal(html, '<p>alpha user@alpha|alpha mock|true|alpha data</p>');
+            }),
+            render('/alpha/namespaces.html', 'vip').then(html => {
+                assert.equal(html, '<p>alpha user@alpha|alpha mock|true|alpha vip</p>');
+            })
+        ]);
+    });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const RenderError = require('../server/koa-hbs/errors').RenderError;
+const helpers = require('./helpers');
+
+const file = (url) => path.join(helpers.root, url);
+
+const renderError = (url, strict) => {
+    return helpers.render(helpers.createHbs({
+        strict: !!strict
+    }), url).then(() => {
+        throw new Error(`${url} should fail`);
+    }, err => {
+        assert(err instanceof RenderError, err.stack);
+        return err;
+    });
+};
+
+describe('render errors', () => {
+    it('locates template syntax error', () => {
+        return renderError('/broken/syntax.html').then(err => {
+            assert.equal(err.type, 'syntax');
+            assert.equal(err.file, file('broken/syntax.html'));
+            assert.equal(err.line, 4);
+        });
+    });
+
+    it('locates missing partial with the include chain', () => {
+        return renderError('/broken/missing.html').then(err => {
+            assert.equal(err.type, 'partial');
+            assert(/partial "nothere" not found/.test(err.message));
+            assert.equal(err.file, file('broken/partials/outer.html'));
+            assert.equal(err.line, 2);
+            assert.equal(err.column, 2);
+            assert.deepEqual(err.chain, [file('broken/missing.html'), file('broken/partials/outer.html')]);
+        });
+    });
+
+    it('locates json syntax error of component.json', () => {
+        return renderError('/broken/json.html').then(err => {
+            assert.equal(err.type, 'data');
+            assert.equal(err.file, file('broken/partials/card/component.json'));
+            assert.equal(err.line, 3);
+            assert.equal(err.column, 15);
+        });
+    });
+
+    it('locates exception thrown by helper to the partial using it', () => {
+        return renderError('/broken/helper.html').then(err => {
+            assert.equal(err.type, 'helper');
+            assert.equal(err.helper, 'boom');
+            assert.equal(err.helperFile, file('broken/helpers/boom.js'));
+            assert.equal(err.file, file('broken/partials/inner.html'));
+            assert.equal(err.line, 2);
+            assert.deepEqual(err.chain, [file('broken/helper.html'), file('broken/partials/inner.html')]);
+        });
+    });
+
+    it('throws on undefined lookup in strict mode', () => {
+        return renderError('/broken/lookup.html', true).then(err => {
+            assert.equal(err.type, 'lookup');
+            assert.equal(err.message, '"nmae" is not defined');
+            assert.equal(err.file, file('broken/lookup.html'));
+            assert.equal(err.line, 7);
+        });
+    });
+
+    it('locates error of markdown view to the line of markdown', () => {
+        return renderError('/broken/lookup.md', true).then(err => {
+            assert.equal(err.type, 'lookup');
+            assert.equal(err.file, file('broken/lookup.md'));
+            assert.equal(err.line, 14);
+            assert.equal(err.column, 8);
+        });
+    });
+
+    it('throws on unresolved helper in strict mode', () => {
+        return renderError('/broken/unresolved.html', true).then(err => {
+            assert.equal(err.type, 'helper');
+            assert.equal(err.helper, 'nothere');
+            assert.equal(err.file, file('broken/unresolved.html'));
+            assert.equal(err.line, 5);
+            assert.equal(err.column, 3);
+        });
+    });
+
+    it('locates script entry not found', () => {
+        return renderError('/broken/script.html').then(err => {
+            assert.equal(err.type, 'script');
+            assert.equal(err.file, file('broken/script.html'));
+            assert(/"\/broken\/static\/scripts\/nope\.js" not found/.test(err.message));
+        });
+    });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const fingerprint = require('../tools/fingerprint');
+const util = require('../server/koa-hbs/util');
+
+describe('fingerprint', () => {
+    it('rewrites urls in css bundles, and renames them by the hash of the rewritten content', () => {
+        const dest = fs.mkdtempSync(path.join(os.tmpdir(), 'fingerprint-'));
+        const write = (file, content) => {
+            fs.mkdirSync(path.dirname(path.join(dest, file)), {
+                recursive: true
+            });
+            fs.writeFileSync(path.join(dest, file), content);
+        };
+        const read = (file) => fs.readFileSync(path.join(dest, file), 'utf8');
+        const bundle = path.join('shared', 'static', 'styles', 'components.0123abcd.css');
+        const plain = '.tag{color:red}';
+        // no url in it, the name by content hash stays valid
+        const plainBundle = path.join('shared', 'static', 'styles', `tags.${util.hash(plain).slice(0, 8)}.css`);
+        write(path.join('book', 'static', 'images', 'card.png'), 'png');
+        // not generated by the build, though named like a hashed one
+        write(path.join('book', 'static', 'styles', 'vendor.89abcdef.css'), '.v{background:url(../images/card.png)}');
+        write(bundle, '.card{background:url(/book/static/images/card.png)}');
+        write(plainBundle, plain);
+        write(path.join('book', 'index.html'), '<link rel="stylesheet" href="/shared/static/styles/components.0123abcd.css">' +
+            `<link rel="stylesheet" href="/shared/static/styles/${path.basename(plainBundle)}">` +
+            '<link rel="stylesheet" href="static/styles/vendor.89abcdef.css">');
+        return fingerprint(dest, {
+            bundles: ['shared/static/styles/components.0123abcd.css', plainBundle.split(path.sep).join('/')]
+        }).then(manifest => {
+            const image = manifest[path.join('book', 'static', 'images', 'card.png')];
+            const vendor = manifest[path.join('book', 'static', 'styles', 'vendor.89abcdef.css')];
+            const renamed = manifest[bundle];
+            assert(image && vendor);
+            const content = `.card{background:url(/book/static/images/${path.basename(image)})}`;
+            assert.equal(renamed, path.join('shared', 'static', 'styles', `components.${util.hash(content).slice(0, 8)}.css`));
+            assert.equal(read(renamed), content);
+            assert(!fs.existsSync(path.join(dest, bundle)));
+            assert.equal(manifest[plainBundle], undefined);
+            assert.equal(read(plainBundle), plain);
+            assert.equal(read(vendor), `.v{background:url(../images/${path.basename(image)})}`);
+            assert(!fs.existsSync(path.join(dest, 'book', 'static', 'images', 'card.png')));
+            assert.equal(read(path.join('book', 'index.html')),
+                `<link rel="stylesheet" href="/shared/static/styles/${path.basename(renamed)}">` +
+                `<link rel="stylesheet" href="/shared/static/styles/${path.basename(plainBundle)}">` +
+                `<link rel="stylesheet" href="static/styles/${path.basename(vendor)}">`);
+        });
+    });
+});
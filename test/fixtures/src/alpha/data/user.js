@@ -0,0 +1,6 @@
+'use strict';
+
+module.exports = (state) => Promise.resolve({
+    name: 'alpha user',
+    project: state.projectName
+});
@@ -0,0 +1,3 @@
+import {format} from 'shared/static/scripts/format';
+
+window.alpha = format('alpha');
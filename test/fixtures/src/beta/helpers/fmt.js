@@ -0,0 +1,8 @@
+'use strict';
+
+// same name as fmt of the other project
+module.exports = {
+    fmt: function(value) {
+        return 'b: ' + String(value).toUpperCase();
+    }
+};
@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = {
+    boom: function() {
+        throw new Error('kaboom');
+    }
+};
@@ -0,0 +1 @@
+window.gamma = 'gamma';
@@ -0,0 +1,13 @@
+'use strict';
+
+const path = require('path');
+
+const helpers = {
+    relative(context) {
+        let url = path.normalize(context);
+        if (/^\./.test(url)) return url;
+        return '.' + path.sep + url;
+    }
+};
+
+module.exports = helpers;
@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const DepGraph = require('../server/koa-hbs/graph');
+const helpers = require('./helpers');
+
+const file = (url) => path.join(helpers.root, url);
+
+describe('DepGraph', () => {
+    it('finds files depending on the changed file, directly or indirectly', () => {
+        const graph = new DepGraph();
+        graph.add('view.html', 'layout.html');
+        graph.add('view.html', 'partial.html');
+        graph.add('other.html', 'layout.html');
+        graph.add('partial.html', 'helper.js');
+        assert.deepEqual(graph.dependentsOf('helper.js'), ['partial.html', 'view.html']);
+        assert.deepEqual(graph.dependentsOf('layout.html').sort(), ['other.html', 'view.html']);
+        assert.deepEqual(graph.dependentsOf('view.html'), []);
+        assert.deepEqual(graph.dependenciesOf('view.html').sort(), ['helper.js', 'layout.html', 'partial.html']);
+        // dependencies are recorded again when the file is compiled
+        graph.clear('view.html');
+        assert.deepEqual(graph.dependentsOf('helper.js'), ['partial.html']);
+        assert.deepEqual(graph.dependentsOf('layout.html'), ['other.html']);
+    });
+});
+
+describe('invalidate', () => {
+    it('drops cache of the changed file and its dependents only', () => {
+        const hbs = helpers.createHbs();
+        return Promise.all([
+            helpers.render(hbs, '/alpha/'),
+            helpers.render(hbs, '/alpha/tag.html')
+        ]).then(() => {
+            assert(hbs.cache[file('alpha/index.html')] && hbs.cache[file('alpha/partials/item.html')]);
+            const affected = hbs.invalidate(file('alpha/partials/item.html'));
+            assert(affected.indexOf(file('alpha/index.html')) > -1);
+            assert.equal(affected.indexOf(file('alpha/tag.html')), -1);
+            assert.equal(hbs.cache[file('alpha/partials/item.html')], undefined);
+            assert.equal(hbs.cache[file('alpha/index.html')], undefined);
+            // not depending on the partial
+            assert(hbs.cache[file('alpha/tag.html')]);
+            assert(hbs.cache[file('alpha/partials/components/tag/default.html')]);
+            return helpers.render(hbs, '/alpha/');
+        }).then(res => {
+            // dependencies are recorded again
+            assert(hbs.graph.dependentsOf(file('alpha/partials/item.html')).indexOf(file('alpha/index.html')) > -1);
+            assert(res.html.indexOf('<h1>alpha</h1>') > -1);
+        });
+    });
+});
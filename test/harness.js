@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const createHarness = require('../server/koa-hbs/harness');
+const config = require('../config');
+const helpers = require('./helpers');
+
+const trim = (html) => html.replace(/\s+/g, ' ').trim();
+
+describe('harness', () => {
+    const harness = createHarness(helpers.createHbs());
+
+    it('renders template string with shared helpers', () => {
+        return harness.renderString('<i>{{relative name}}</i>', {
+            name: 'a/b'
+        }).then(html => {
+            assert.equal(html, `<i>.${path.sep}a${path.sep}b</i>`);
+        });
+    });
+
+    it('renders partial of the project with data', () => {
+        return harness.renderPartial('item', {
+            name: 'x'
+        }, {
+            project: 'alpha'
+        }).then(html => {
+            assert.equal(trim(html), '<p>alpha item: x</p>');
+        });
+    });
+
+    it('resolves partials of group project with .config.yml overrides', () => {
+        return harness.renderPartial('item', {
+            name: 'y'
+        }, {
+            project: 'group/gamma'
+        }).then(html => {
+            assert.equal(trim(html), '<p>gamma item: y</p>');
+        });
+    });
+
+    it('resolves `shared:` and relative partials', () => {
+        return Promise.all([
+            harness.renderString('{{> ../partials/footer}}', {}, {
+                project: 'alpha',
+                view: 'sub/page'
+            }),
+            harness.renderPartial('shared:header', {
+                title: 'T'
+            }, {
+                project: 'group/gamma'
+            })
+        ]).then(res => {
+            assert.equal(trim(res[0]), '<footer>alpha footer</footer>');
+            assert.equal(trim(res[1]), '<header>shared header: T</header>');
+        });
+    });
+
+    it('renders component with state data, and data of caller wins', () => {
+        return Promise.all([
+            harness.renderPartial('components/tag/index', {}, {
+                project: 'alpha'
+            }),
+            harness.renderPartial('components/tag/error', {}, {
+                project: 'alpha'
+            }),
+            harness.renderPartial('components/tag/error', {
+                message: 'my message'
+            }, {
+                project: 'alpha'
+            })
+        ]).then(res => {
+            assert.ok(/alpha tag default<\/span><em>inline label<\/em>/.test(res[0]));
+            assert.ok(/_component_[0-9a-f]{16}/.test(res[0]));
+            assert.ok(/alpha tag error<\/span><em>name is required<\/em>/.test(res[1]));
+            assert.ok(/<em>my message<\/em>/.test(res[2]));
+        });
+    });
+
+    it('rejects with render error of unknown partial', () => {
+        return harness.renderPartial('nope', {}, {
+            project: 'alpha'
+        }).then(() => assert.fail('should reject'), err => {
+            assert.ok(/nope/.test(err.message));
+        });
+    });
+
+    it('tests project helpers of the repo', () => {
+        const repoHarness = createHarness(config.hbs);
+        return repoHarness.renderString('{{lowercase "ABC"}}', {}, {
+            project: 'group/test'
+        }).then(html => {
+            assert.equal(html, 'abc');
+        });
+    });
+});
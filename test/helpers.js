@@ -0,0 +1,45 @@
+'use strict';
+
+// shared by test suites: hbs of the fixtures, and rendering urls like `ctx.render` of the dev server
+
+const path = require('path');
+const KoaHbs = require('../server/koa-hbs');
+const util = require('../server/koa-hbs/util');
+const config = require('../config');
+
+const root = path.join(__dirname, 'fixtures/src');
+
+/**
+ * hbs of the fixtures
+ * @param  {Object} options hbs options merged over config.hbs, like {strict: true} or {root: tmp dir}
+ * @return {Object}         Hbs instance
+ */
+const createHbs = (options) => new KoaHbs.Hbs(util.merge(util.clone(config.hbs), {
+    root
+}, options));
+
+/**
+ * render url with a fake koa ctx
+ * @param  {Object} hbs    Hbs instance
+ * @param  {String} url    like `/alpha/` or `/alpha/tag.html`
+ * @param  {Object} ctx    fields of ctx, like {state: {locale: 'en'}, query: {__scenario__: 'vip'}}
+ * @param  {Object} locals template data
+ * @return {Promise}       promise with {html, state: ctx.state, data: locals}
+ */
+const render = (hbs, url, ctx, locals) => {
+    ctx = Object.assign({
+        state: {}
+    }, ctx);
+    locals = locals || {};
+    return KoaHbs.createRenderer(hbs).call(ctx, url, locals).then(() => ({
+        html: ctx.body,
+        state: ctx.state,
+        data: locals
+    }));
+};
+
+module.exports = {
+    root,
+    createHbs,
+    render
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('assert');
+const i18n = require('../server/koa-hbs/i18n');
+const config = require('../config');
+const helpers = require('./helpers');
+
+const render = (hbs, url, ctx) => helpers.render(hbs, url, ctx, {
+    name: '<b>'
+});
+
+describe('i18n', () => {
+    it('picks locale, splits and prefixes urls', () => {
+        const locales = ['zh', 'en'];
+        assert.equal(i18n.pick('en', locales), 'en');
+        assert.equal(i18n.pick('fr', locales), 'zh');
+        assert.equal(i18n.pick('en', []), undefined);
+        assert.deepEqual(i18n.splitUrl('/en/book/index.html', locales), {
+            locale: 'en',
+            url: '/book/index.html'
+        });
+        assert.deepEqual(i18n.splitUrl('/en', locales), {
+            locale: 'en',
+            url: '/'
+        });
+        assert.equal(i18n.splitUrl('/book/index.html', locales), null);
+        assert.equal(i18n.splitUrl('/en/book/', []), null);
+        assert.equal(i18n.prefixOf('en', locales), 'en');
+        assert.equal(i18n.prefixOf('zh', locales), '');
+        assert.equal(i18n.prefixOf(undefined, locales), '');
+    });
+
+    it('formats missing keys of pages', () => {
+        assert.equal(i18n.formatMissing({}), '');
+        assert.equal(i18n.formatMissing({
+            en: {
+                'book/index.html': ['a', 'b'],
+                'alpha/index.html': []
+            },
+            de: {
+                'book/index.html': ['c']
+            }
+        }), 'de book/index.html: c\nen book/index.html: a, b');
+    });
+
+    it('translates with interpolation, plural forms and fallback', () => {
+        const dict = {
+            locale: 'en',
+            messages: {
+                hello: 'hello, {name}',
+                passengers: {
+                    zero: 'no passenger',
+                    one: '{count} passenger',
+                    other: '{count} passengers'
+                }
+            },
+            fallback: {
+                steps: {
+                    pay: '支付'
+                }
+            },
+            missing: []
+        };
+        assert.equal(i18n.translate(dict, 'hello', {
+            name: 'creeper'
+        }), 'hello, creeper');
+        assert.equal(i18n.translate(dict, 'hello'), 'hello, {name}');
+        assert.deepEqual([0, 1, 2].map(count => i18n.translate(dict, 'passengers', {
+            count
+        })), ['no passenger', '1 passenger', '2 passengers']);
+        // objects without count are not messages
+        assert.equal(i18n.translate(dict, 'passengers'), 'passengers');
+        assert.equal(i18n.translate(dict, 'steps.pay'), '支付');
+        assert.equal(i18n.translate(dict, 'nothere'), 'nothere');
+        assert.deepEqual(dict.missing, ['steps.pay', 'nothere']);
+        assert.equal(i18n.translate(null, 'steps.pay'), 'steps.pay');
+    });
+
+    it('translates with the t helper, and records missing keys', () => {
+        const hbs = helpers.createHbs();
+        return Promise.all([
+            render(hbs, '/alpha/i18n.html'),
+            render(hbs, '/alpha/i18n.html', {
+                state: {
+                    locale: 'en'
+                }
+            })
+        ]).then(res => {
+            assert.equal(res[0].html.trim(), '<p>你好，&lt;b&gt;|没有苹果|1 个苹果|3 个苹果|仅中文|none</p>');
+            assert.deepEqual(res[0].state.missingKeys, ['none']);
+            // dictionary of project is merged over the shared one, missing keys fall back to the default locale
+            assert.equal(res[1].html.trim(), '<p>Hi, &lt;b&gt;|no apples|one apple|3 apples|仅中文|none</p>');
+            assert.equal(res[1].state.locale, 'en');
+            assert.deepEqual(res[1].state.missingKeys, ['only', 'none']);
+        });
+    });
+
+    it('renders the locale of query', () => {
+        return render(helpers.createHbs({
+            root: config.staticRoot
+        }), '/book/', {
+            query: {
+                __locale__: 'en'
+            }
+        }).then(res => {
+            assert(res.html.indexOf('Passengers') > -1);
+            assert.equal(res.html.indexOf('乘机信息'), -1);
+            assert.deepEqual(res.state.missingKeys, []);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const lint = require('../tools/lint');
+const util = require('../server/koa-hbs/util');
+const config = require('../config');
+
+const root = path.join(__dirname, 'fixtures/src');
+
+describe('template lint', () => {
+    let issues;
+    before(() => lint(util.merge({}, config.hbs, {
+        root
+    })).then(res => issues = res));
+
+    const find = (rule, file) => issues.filter(v => v.rule === rule && v.file === file);
+
+    it('reports partials and helpers which cant be resolved', () => {
+        assert.deepEqual(find('missing-partial', 'broken/partials/outer.html').map(v => [v.line, v.column]), [[2, 2]]);
+        assert.equal(find('missing-helper', 'broken/unresolved.html').length, 1);
+        // partials resolved per project from shared layout are fine
+        assert.equal(find('missing-partial', 'shared/layouts/index.html').length, 0);
+    });
+
+    it('reports syntax errors and invalid component.json', () => {
+        assert.equal(find('syntax', 'broken/syntax.html').length, 1);
+        assert.deepEqual(find('syntax', 'broken/yaml.html').map(v => [v.line, /^invalid yaml header/.test(v.message)]),
+            [[3, true]]);
+        assert.deepEqual(find('component-json', 'broken/partials/card/component.json').map(v => v.line), [3]);
+    });
+
+    it('reports component.json not matching the schema', () => {
+        assert.deepEqual(find('component-schema', 'broken/partials/badge/component.json').map(v => v.message), [
+            '"name" is required',
+            '"type" should be one of "d", "s", got "x"',
+            '"states.default.name" is required'
+        ]);
+        assert.equal(find('component-schema', 'broken/partials/panel/component.json').length, 0);
+    });
+
+    it('reports missing state files and css', () => {
+        assert(/"gone"/.test(find('missing-state-file', 'broken/partials/panel/component.json')[0].message));
+        assert.equal(find('missing-css', 'broken/partials/unused.html').length, 1);
+    });
+
+    it('reports partials nothing references', () => {
+        const unused = issues.filter(v => v.rule === 'unused-partial').map(v => v.file);
+        // component templates and state files are referenced by component.json
+        assert.deepEqual(unused, ['broken/partials/unused.html']);
+    });
+});
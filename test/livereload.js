@@ -0,0 +1,108 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const http = require('http');
+const Koa = require('koa');
+const livereload = require('../server/livereload');
+const helpers = require('./helpers');
+
+const file = (url) => path.join(helpers.root, url);
+
+// events emitted by the watcher for changed files
+const eventsOf = (watcher, files) => {
+    const events = [];
+    watcher.on('reload', () => events.push(['reload']));
+    watcher.on('css', changes => events.push(['css', changes]));
+    watcher.update(files.map(file));
+    return events;
+};
+
+describe('livereload watcher', () => {
+    it('swaps css bundles and compiled sass in place', () => {
+        const hbs = helpers.createHbs();
+        const bundle = hbs.bundleCss(['/alpha/static/styles/card.css']);
+        hbs.loadStyle(file('alpha/static/styles/alpha.scss'));
+        assert.deepEqual(eventsOf(livereload.watch(hbs, {
+            watch: false
+        }), ['alpha/static/styles/card.css', 'alpha/static/styles/_vars.scss']), [
+            ['css', [
+                [bundle, bundle],
+                ['/alpha/static/styles/alpha.css', '/alpha/static/styles/alpha.css']
+            ]]
+        ]);
+    });
+
+    it('reloads pages when templates or inlined css change', () => {
+        const hbs = helpers.createHbs();
+        const watcher = livereload.watch(hbs, {
+            watch: false
+        });
+        return helpers.render(hbs, '/alpha/cards/first.html').then(() => {
+            assert.deepEqual(eventsOf(watcher, ['alpha/static/styles/card.css']), [['reload']]);
+            assert.deepEqual(eventsOf(watcher, ['alpha/partials/item.html']), [['reload']]);
+        });
+    });
+});
+
+describe('livereload middleware', () => {
+    const hbs = helpers.createHbs();
+    const watcher = livereload.watch(hbs, {
+        watch: false
+    });
+    const app = new Koa();
+    app.use(livereload(watcher, {
+        path: '/__events__'
+    }));
+    app.use(ctx => {
+        ctx.body = ctx.path === '/partial' ? '<p>partial</p>' : '<html><body><p>page</p></body></html>';
+    });
+    let server;
+    const get = (url) => new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${server.address().port}${url}`, resolve).on('error', reject);
+    });
+    const bodyOf = (res) => new Promise(resolve => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve(body));
+    });
+
+    before(done => {
+        server = app.listen(0, '127.0.0.1', done);
+    });
+    after(done => {
+        server.close(done);
+    });
+
+    it('injects the client script into full pages only', () => {
+        return get('/').then(bodyOf).then(html => {
+            assert(/<p>page<\/p><script>[\s\S]*new EventSource\('\/__events__'\)[\s\S]*<\/script><\/body>/.test(html));
+            return get('/partial').then(bodyOf);
+        }).then(html => {
+            assert.equal(html, '<p>partial</p>');
+        });
+    });
+
+    it('sends changes to connected browsers via the event stream', () => {
+        return get('/__events__').then(res => {
+            res.setEncoding('utf8');
+            let received = '';
+            return new Promise(resolve => {
+                res.on('data', chunk => {
+                    received += chunk;
+                    // the comment sent on connection, then two messages, each ends with a blank line
+                    if (received.split('\n\n').length > 3) resolve(received);
+                });
+                watcher.emit('css', [['/a.1.css', '/a.2.css']]);
+                watcher.emit('reload');
+            }).then(received => {
+                res.destroy();
+                assert(/^text\/event-stream/.test(res.headers['content-type']));
+                assert.equal(res.headers['cache-control'], 'no-cache');
+                assert.equal(received, ': connected\n\nevent: css\ndata: [["/a.1.css","/a.2.css"]]\n\n' +
+                    'event: reload\ndata: null\n\n');
+            });
+        });
+    });
+});
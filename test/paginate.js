@@ -0,0 +1,182 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const paginate = require('../server/koa-hbs/paginate');
+const errors = require('../server/koa-hbs/errors');
+const helpers = require('./helpers');
+
+const urlsOf = (pages) => (pages || []).map(page => page.url);
+
+const render = (hbs, url, state) => helpers.render(hbs, url, {
+    state: state || {}
+});
+
+describe('paginate', () => {
+    it('resolves permalinks to the view', () => {
+        assert.equal(paginate.resolveUrl('/book/routes/sha-hkg.html', '/book/routes.html'), '/book/routes/sha-hkg.html');
+        assert.equal(paginate.resolveUrl('sha-hkg', '/book/routes.html'), '/book/sha-hkg.html');
+        assert.equal(paginate.resolveUrl(' routes/2/ ', '/book/routes.html'), '/book/routes/2/index.html');
+        assert.equal(paginate.resolveUrl('../list.html', '/group/test/routes.md'), '/group/list.html');
+    });
+
+    it('splits data into pages, and binds items of the page', () => {
+        const options = {
+            data: 'airline.routes',
+            size: 2,
+            as: 'routes'
+        };
+        const data = {
+            airline: {
+                routes: [1, 2, 3]
+            }
+        };
+        const pages = paginate.pagesOf(options, data, {
+            url: '/book/routes.html'
+        });
+        assert.deepEqual(pages, [{
+            number: 1,
+            items: [1, 2],
+            url: '/book/routes.html'
+        }, {
+            number: 2,
+            items: [3],
+            url: '/book/routes-2.html'
+        }]);
+        paginate.bind(data, options, pages, 2);
+        assert.deepEqual(data.routes, [3]);
+        assert.deepEqual(data.pagination, {
+            number: 2,
+            total: 2,
+            size: 2,
+            items: [3],
+            urls: ['/book/routes.html', '/book/routes-2.html'],
+            first: '/book/routes.html',
+            last: '/book/routes-2.html',
+            previous: '/book/routes.html',
+            next: null
+        });
+        // the item itself when size is 1
+        paginate.bind(data, {
+            as: 'route'
+        }, paginate.pagesOf({
+            data: 'airline.routes'
+        }, data, {
+            url: '/book/routes.html'
+        }), 3);
+        assert.equal(data.route, 3);
+    });
+
+    it('throws on invalid data and duplicate permalinks', () => {
+        const info = {
+            url: '/book/routes.html',
+            file: '/root/book/routes.html',
+            permalink: () => 'same'
+        };
+        assert.throws(() => paginate.pagesOf({
+            data: 'routes'
+        }, {
+            routes: 'a'
+        }, info), err => err instanceof errors.RenderError && /"routes" is not an array/.test(err.message) &&
+            err.file === info.file);
+        assert.throws(() => paginate.pagesOf({
+            data: 'routes'
+        }, {
+            routes: []
+        }, info), /paginate data "routes" is empty/);
+        assert.throws(() => paginate.pagesOf({
+            data: 'routes'
+        }, {
+            routes: ['a', 'b']
+        }, info), /permalink "\/book\/same.html" of page 2 is the same as page 1/);
+    });
+
+    it('routes generated pages to the view with the page bound', () => {
+        const hbs = helpers.createHbs();
+        return Promise.all([
+            render(hbs, '/alpha/routes.html'),
+            render(hbs, '/alpha/routes/2/'),
+            render(hbs, '/alpha/routes/2/index.html', {
+                locale: 'en'
+            }),
+            hbs.loadPages()
+        ]).then(res => {
+            assert.equal(res[0].html.trim(), '<p>ab|1/2||/alpha/routes/2/index.html</p>');
+            assert.equal(res[1].html.trim(), '<p>c|2/2|/alpha/routes/1/index.html|</p>');
+            assert.equal(res[2].html.trim(), '<p>c|2/2|/en/alpha/routes/1/index.html|</p>');
+            assert.deepEqual(res[3].paginated['/alpha/routes.html'], [{
+                url: '/alpha/routes/1/index.html',
+                number: 1
+            }, {
+                url: '/alpha/routes/2/index.html',
+                number: 2
+            }]);
+            const pages = res[3].site.pages.alpha.filter(page => page.title === 'routes');
+            assert.deepEqual(pages.map(page => page.pagination), [{
+                number: 1,
+                total: 2
+            }, {
+                number: 2,
+                total: 2
+            }]);
+            assert.equal(pages[0].metadata.paginate, undefined);
+        });
+    });
+
+    it('resolves urls of inline css from the generated page', () => {
+        const hbs = helpers.createHbs();
+        return Promise.all([
+            render(hbs, '/alpha/cards/second.html'),
+            render(hbs, '/alpha/cards/second.html', {
+                locale: 'en'
+            })
+        ]).then(res => {
+            assert.equal(res[0].data.__page__, '/alpha/cards/second.html');
+            assert(res[0].html.indexOf('url(../static/images/card.png)') > -1);
+            assert(res[0].html.indexOf('<p>second</p>') > -1);
+            assert.equal(res[1].data.__page__, '/en/alpha/cards/second.html');
+            assert(res[1].html.indexOf('url(../../../alpha/static/images/card.png)') > -1);
+            // the view is reloaded when the css changes
+            assert(hbs.graph.dependentsOf(path.join(helpers.root, 'alpha/static/styles/card.css'))
+                .indexOf(path.join(helpers.root, 'alpha/cards.html')) > -1);
+        });
+    });
+
+    it('fails to render the page not existing', () => {
+        const hbs = helpers.createHbs();
+        return hbs.render(path.join(helpers.root, 'alpha/routes.html'), {}, {
+            projectName: 'alpha',
+            viewName: 'routes',
+            pageNumber: 3
+        }).then(() => {
+            throw new Error('should fail');
+        }, err => {
+            assert(err instanceof errors.RenderError);
+            assert.equal(err.message, 'page 3 doesn\'t exist, 2 page(s) in total');
+        });
+    });
+
+    it('fails to render the view with empty data, in both server and build', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paginate-'));
+        const file = path.join(dir, 'home/routes.html');
+        fs.mkdirSync(path.dirname(file));
+        fs.writeFileSync(file, '---\nlayout: false\nroutes: []\npaginate:\n    data: routes\n---\n<p>{{route}}</p>');
+        const hbs = helpers.createHbs({
+            root: dir,
+            preInstalledHelper: null
+        });
+        return hbs.loadPages().then(res => {
+            // not expanded, so build renders the view itself like the server does
+            assert.equal(res.paginated['/home/routes.html'], undefined);
+            assert.deepEqual(urlsOf(res.site.pages.home), ['/home/routes.html']);
+            return render(hbs, '/home/routes.html');
+        }).then(() => {
+            throw new Error('should fail');
+        }, err => {
+            assert(err instanceof errors.RenderError);
+            assert.equal(err.message, 'paginate data "routes" is empty');
+        });
+    });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const assert = require('assert');
+const helpers = require('./helpers');
+
+// line starts from 1 and column from 0, like handlebars
+const locationOf = (text, str) => {
+    const lines = text.slice(0, text.indexOf(str)).split('\n');
+    return {
+        line: lines.length,
+        column: lines[lines.length - 1].length
+    };
+};
+
+describe('markdown preprocessor', () => {
+    const markdown = helpers.createHbs().preprocessors['.md'];
+    const source = [
+        '# {{title}}',
+        '',
+        'Some text',
+        'spanning lines.',
+        '',
+        '{{> card}}',
+        '',
+        '- one',
+        '- {{two}}',
+        '',
+        'Hello {{user.name}}, bye {{user.age}}!'
+    ].join('\n');
+    const res = markdown(source);
+
+    it('keeps mustaches as they are, lines of only mustaches are not wrapped', () => {
+        assert(res.content.indexOf('{{title}}</h1>') > -1);
+        assert(res.content.indexOf('<li>{{two}}</li>') > -1);
+        assert(res.content.indexOf('<p>Hello {{user.name}}, bye {{user.age}}!</p>') > -1);
+        assert(res.content.indexOf('<p>{{> card}}') === -1);
+    });
+
+    it('maps locations of mustaches in html back to markdown', () => {
+        ['{{title}}', '{{> card}}', '{{two}}', '{{user.name}}', '{{user.age}}'].forEach(mustache => {
+            const html = locationOf(res.content, mustache);
+            assert.deepEqual(res.locate(html.line, html.column), locationOf(source, mustache), mustache);
+        });
+        // inside the mustache, like the path of `{{user.age}}`
+        const html = locationOf(res.content, 'user.age');
+        assert.deepEqual(res.locate(html.line, html.column), locationOf(source, 'user.age'));
+    });
+
+    it('keeps locations before any mustache', () => {
+        assert.deepEqual(res.locate(1, 0), {
+            line: 1,
+            column: 0
+        });
+    });
+});
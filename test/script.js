@@ -0,0 +1,88 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const KoaHbs = require('../server/koa-hbs');
+const script = require('../server/koa-hbs/script');
+const util = require('../server/koa-hbs/util');
+const config = require('../config');
+const helpers = require('./helpers');
+
+const root = helpers.root;
+// options of the repo merged over the defaults
+const options = util.merge(util.clone(KoaHbs.Hbs.defaults), config.hbs);
+const render = helpers.render;
+
+describe('script entries', () => {
+    it('resolves entries and bundle urls', () => {
+        assert.deepEqual(script.resolveEntries(['./static/a.js', '/shared/b.js', '../c.js', ''], '/book'),
+            ['/book/static/a.js', '/shared/b.js', '/c.js']);
+        assert.deepEqual(script.resolveEntries('static/a.js', '/group/gamma'), ['/group/gamma/static/a.js']);
+        assert.equal(script.bundleUrlOf('/book/static/scripts/index.js'), '/book/static/scripts/index.bundle.js');
+        assert.equal(script.entryUrlOf('/book/static/scripts/index.bundle.js'), '/book/static/scripts/index.js');
+    });
+
+    it('are declared by yaml header and .config.yml', () => {
+        const hbs = helpers.createHbs();
+        return Promise.all([render(hbs, '/alpha/scripts.html'), render(hbs, '/group/gamma/')]).then(res => {
+            assert.deepEqual(res[0].data.__scripts__.entries, {
+                '/alpha/static/scripts/alpha.js': '/alpha/static/scripts/alpha.bundle.js',
+                '/beta/static/scripts/beta.js': '/beta/static/scripts/beta.bundle.js'
+            });
+            assert.deepEqual(res[1].data.__scripts__.entries, {
+                '/group/gamma/static/scripts/gamma.js': '/group/gamma/static/scripts/gamma.bundle.js'
+            });
+            assert.deepEqual(Object.keys(hbs.scripts.entries).sort(), ['/alpha/static/scripts/alpha.js',
+                '/beta/static/scripts/beta.js', '/group/gamma/static/scripts/gamma.js']);
+        });
+    });
+
+    it('are output as bundles by the js helper, after the common chunk', () => {
+        return render(helpers.createHbs({
+            root: config.staticRoot
+        }), '/book/').then(res => {
+            const scripts = res.html.match(/<script src="[^"]+"><\/script>/g);
+            assert.deepEqual(scripts.slice(-2), [
+                '<script src="/shared/static/scripts/common.bundle.js"></script>',
+                '<script src="/book/static/scripts/index.bundle.js"></script>'
+            ]);
+        });
+    });
+});
+
+describe('script bundles', function() {
+    this.timeout(20000);
+
+    it('share modules of entries via the common chunk', () => {
+        const bundler = new script.ScriptBundler(Object.assign({
+            root
+        }, options.script, {
+            sourceMap: false
+        }));
+        bundler.add(['/alpha/static/scripts/alpha.js', '/beta/static/scripts/beta.js']);
+        return bundler.bundle().then(assets => {
+            assert.deepEqual(Object.keys(assets).sort(), ['/alpha/static/scripts/alpha.bundle.js',
+                '/beta/static/scripts/beta.bundle.js', '/shared/static/scripts/common.bundle.js']);
+            const common = assets['/shared/static/scripts/common.bundle.js'];
+            // transpiled, and the shared module is only in the common chunk
+            assert(/var format = exports\.format = function format\(name\)/.test(common));
+            assert(assets['/alpha/static/scripts/alpha.bundle.js'].indexOf('function format') === -1);
+            assert(assets['/beta/static/scripts/beta.bundle.js'].indexOf("format)('beta')") > -1);
+            assert(bundler.has(path.join(root, 'shared/static/scripts/format.js')));
+            // cached until entries are added or modules change
+            return bundler.bundle().then(res => assert.strictEqual(res, assets));
+        });
+    });
+
+    it('locates syntax error of modules', () => {
+        const bundler = new script.ScriptBundler(Object.assign({
+            root
+        }, options.script));
+        bundler.add(['/broken/scripts/syntax.js']);
+        return bundler.bundle().then(() => assert.fail('should reject'), err => {
+            assert.equal(err.type, 'script');
+            assert.equal(err.file, path.join(root, 'broken/scripts/syntax.js'));
+            assert.equal(err.line, 2);
+        });
+    });
+});
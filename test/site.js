@@ -0,0 +1,133 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const site = require('../server/koa-hbs/site');
+const helpers = require('./helpers');
+
+const urlsOf = (pages) => (pages || []).map(page => page.url);
+
+describe('site', () => {
+    it('generates pages from views and yaml headers', () => {
+        const page = site.pageOf({
+            file: path.join('index', 'markdown.md'),
+            projectName: 'index',
+            extname: '.html'
+        }, {
+            layout: 'shared:index',
+            data: './data.json',
+            tags: 'guide',
+            author: 'creeper'
+        });
+        assert.deepEqual(page, {
+            url: '/index/markdown.html',
+            project: 'index',
+            title: 'markdown',
+            tags: ['guide'],
+            metadata: {
+                tags: 'guide',
+                author: 'creeper'
+            }
+        });
+        const collection = site.collect([page]);
+        assert.equal(collection.pages.index[0], page);
+        assert.equal(collection.tags.guide[0], page);
+        const copy = site.forPage(collection, 'en');
+        assert.equal(copy.pages.index[0].url, '/en/index/markdown.html');
+        assert.equal(copy.tags.guide[0], copy.pages.index[0]);
+        assert.equal(page.url, '/index/markdown.html');
+    });
+
+    it('collects pages of all projects, except layouts and partials', () => {
+        const hbs = helpers.createHbs();
+        return hbs.loadSite().then(res => {
+            assert.deepEqual(Object.keys(res.pages).sort(), ['alpha', 'beta', 'broken', 'group/gamma']);
+            assert.deepEqual(urlsOf(res.pages['group/gamma']), ['/group/gamma/index.html']);
+            assert(urlsOf(res.pages.alpha).indexOf('/alpha/index.html') > -1);
+            assert.equal(urlsOf(res.pages.alpha).filter(url => /partials/.test(url)).length, 0);
+            assert.deepEqual(urlsOf(res.tags.fixture), ['/alpha/index.html', '/group/gamma/index.html']);
+            assert.deepEqual(urlsOf(res.tags.group), ['/group/gamma/index.html']);
+            assert.equal(res.pages['group/gamma'][0].title, 'gamma');
+            assert.equal(res.pages['group/gamma'][0].metadata.name, 'gamma metadata');
+        });
+    });
+
+    it('is seen by templates, with urls under the locale prefix', () => {
+        const hbs = helpers.createHbs();
+        return helpers.render(hbs, '/alpha/', {
+            state: {
+                locale: 'en'
+            }
+        }).then(res => {
+            assert.deepEqual(urlsOf(res.data.site.tags.fixture), ['/en/alpha/index.html', '/en/group/gamma/index.html']);
+            return hbs.loadSite();
+        }).then(res => {
+            // the cached collection is not changed
+            assert.equal(res.pages.alpha[0].url.indexOf('/en/'), -1);
+        });
+    });
+
+    it('updates when views are added, changed or removed', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+        const write = (file, content) => {
+            fs.mkdirSync(path.dirname(path.join(dir, file)), {
+                recursive: true
+            });
+            fs.writeFileSync(path.join(dir, file), content);
+            return path.join(dir, file);
+        };
+        const first = write('home/index.html', '---\ntitle: first\n---\n<p>home</p>');
+        write('home/partials/nav.html', '<nav></nav>');
+        const hbs = helpers.createHbs({
+            root: dir,
+            preInstalledHelper: null
+        });
+        let second;
+        return hbs.loadSite().then(res => {
+            assert.deepEqual(res.pages.home.map(page => page.title), ['first']);
+            write('home/index.html', '---\ntitle: changed\n---\n<p>home</p>');
+            hbs.invalidate(first);
+            second = write('home/about.md', '---\ntitle: about\ntags: info\n---\n# about');
+            hbs.invalidate(second);
+            return hbs.loadSite();
+        }).then(res => {
+            assert.deepEqual(res.pages.home.map(page => page.title), ['about', 'changed']);
+            assert.deepEqual(urlsOf(res.tags.info), ['/home/about.html']);
+            fs.unlinkSync(second);
+            hbs.invalidate(second);
+            return hbs.loadSite();
+        }).then(res => {
+            assert.deepEqual(urlsOf(res.pages.home), ['/home/index.html']);
+            assert.deepEqual(res.tags, {});
+        });
+    });
+
+    it('is kept even if cache is disabled, until views change', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+        const file = path.join(dir, 'home/index.html');
+        fs.mkdirSync(path.dirname(file));
+        fs.writeFileSync(file, '---\ntitle: first\n---\n<p>home</p>');
+        // empty `.config.yml` is like no config
+        fs.writeFileSync(path.join(dir, 'home/.config.yml'), '');
+        const hbs = helpers.createHbs({
+            root: dir,
+            preInstalledHelper: null,
+            disableCache: true
+        });
+        let first;
+        return hbs.loadSite().then(res => {
+            first = res;
+            assert.deepEqual(urlsOf(res.pages.home), ['/home/index.html']);
+            return hbs.loadSite();
+        }).then(res => {
+            assert.equal(res, first);
+            fs.writeFileSync(file, '---\ntitle: changed\n---\n<p>home</p>');
+            hbs.invalidate(file);
+            return hbs.loadSite();
+        }).then(res => {
+            assert.deepEqual(res.pages.home.map(page => page.title), ['changed']);
+        });
+    });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const snapshot = require('../tools/snapshot');
+const config = require('../config');
+
+const root = path.join(__dirname, 'fixtures/src');
+
+describe('html snapshot', () => {
+    it('normalizes partial comments, component keys and whitespace', () => {
+        const html = '<!-- partialBegin(item) a/b.html invokedBy(x.html)-->\n<div  class="a">\n  hello   world\n</div>' +
+            '\n<!-- partialEnd(item) -->\n<!-- __component_key__=_component_14628652118600244 -->';
+        assert.equal(snapshot.normalize(html), '<div class="a">\nhello world\n</div>\n' +
+            '<!-- __component_key__=_component_* -->\n');
+    });
+
+    it('diffs lines with context', () => {
+        const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].join('\n');
+        assert.equal(snapshot.diffLines(before, before), '');
+        assert.equal(snapshot.diffLines(before, ['a', 'b', 'c', 'x', 'e', 'f', 'g'].join('\n')),
+            ['  b', '  c', '- d', '+ x', '  e', '  f'].join('\n'));
+    });
+
+    it('writes baseline and reports changes of pages and component states', () => {
+        const baseline = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-'));
+        const options = {
+            hbs: Object.assign({}, config.hbs, {
+                root
+            }),
+            baseline,
+            htmlPattern: ['!broken/**/*.*']
+        };
+        const name = path.join('pages', 'alpha', 'index.html');
+        return snapshot(Object.assign({
+            update: true
+        }, options)).then(result => {
+            assert(result.snapshots[name]);
+            assert(result.snapshots[path.join('components', 'alpha', 'tag', 'error.html')]);
+            // components of broken project are invalid
+            assert(result.failures[path.join('components', 'broken')]);
+            assert.equal(result.snapshots[name].indexOf('partialBegin'), -1);
+            return snapshot(options);
+        }).then(result => {
+            assert.deepEqual(result.changed, {});
+            assert.deepEqual(result.added, []);
+            fs.writeFileSync(path.join(baseline, name), result.snapshots[name].replace('<h1>', '<h2>'));
+            fs.writeFileSync(path.join(baseline, 'pages', 'gone.html'), '');
+            return snapshot(options);
+        }).then(result => {
+            assert.deepEqual(Object.keys(result.changed), [name]);
+            assert(result.changed[name].indexOf('- <h2>\n+ <h1>') > -1);
+            assert.deepEqual(result.removed, [path.join('pages', 'gone.html')]);
+        });
+    });
+});
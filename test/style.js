@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const KoaHbs = require('../server/koa-hbs');
+const style = require('../server/koa-hbs/style');
+const errors = require('../server/koa-hbs/errors');
+const helpers = require('./helpers');
+
+const root = helpers.root;
+const entry = path.join(root, 'alpha/static/styles/alpha.scss');
+const createHbs = helpers.createHbs;
+
+describe('style', () => {
+    it('maps sass to css urls', () => {
+        assert.equal(style.cssUrlOf('/book/static/styles/book.scss'), '/book/static/styles/book.css');
+        assert.equal(style.cssUrlOf('/book/static/styles/book.css'), '/book/static/styles/book.css');
+        assert.deepEqual(style.sassUrlsOf('/a/b.css'), ['/a/b.scss', '/a/b.sass']);
+        assert.ok(style.isStyle('a.sass') && style.isStyle('a.css') && !style.isStyle('a.js'));
+        assert.ok(style.isSassPartial('/a/_vars.scss') && !style.isSassPartial('/a/_vars.css'));
+    });
+
+    it('adds vendor prefixes, with source map', () => {
+        const res = style.prefix('.a {\n    display: flex;\n}\n', {
+            from: '/x/a.css',
+            to: '/x/a.css',
+            map: true,
+            autoprefixer: KoaHbs.Hbs.defaults.style.autoprefixer
+        });
+        assert.ok(/display: -ms-flexbox;\s*display: flex;/.test(res.css));
+        assert.deepEqual(JSON.parse(res.map).sources, ['a.css']);
+        assert.equal(style.prefix('.a{}').map, null);
+    });
+});
+
+describe('sass', () => {
+    it('compiles with imports, vendor prefixes and source map', () => {
+        const hbs = createHbs();
+        const res = hbs.loadStyle(entry);
+        assert.ok(/\.alpha \.title \{\s*color: #f60;/.test(res.css));
+        assert.ok(/display: -ms-flexbox;/.test(res.css));
+        assert.ok(JSON.parse(res.map).sources.some(v => /alpha\.scss$/.test(v)));
+        assert.deepEqual(hbs.graph.dependentsOf(path.join(root, 'alpha/static/styles/_vars.scss')), [entry]);
+        // cached until invalidated
+        assert.strictEqual(hbs.loadStyle(entry), res);
+        hbs.invalidate(path.join(root, 'alpha/static/styles/_vars.scss'));
+        assert.notStrictEqual(hbs.loadStyle(entry), res);
+    });
+
+    it('bundles sass imported via cssx as compiled css', () => {
+        const hbs = createHbs();
+        const url = hbs.bundleCss(['/alpha/static/styles/alpha.scss']);
+        assert.ok(/color: #f60/.test(hbs.cssBundles[url].content));
+        assert.ok(!/\$brand/.test(hbs.cssBundles[url].content));
+    });
+
+    it('locates syntax error to the sass file imported', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sass-'));
+        const file = path.join(dir, 'main.scss');
+        fs.writeFileSync(path.join(dir, '_broken.scss'), '.a {\n    color: red\n    width: 1px;\n}\n');
+        fs.writeFileSync(file, '@import "broken";\n');
+        assert.throws(() => style.compile(file), err => {
+            return err instanceof errors.RenderError && err.type === 'style' &&
+                err.file === path.join(dir, '_broken.scss') && err.line === 3;
+        });
+    });
+});
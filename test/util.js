@@ -0,0 +1,157 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const util = require('../server/koa-hbs/util');
+const config = require('../config');
+const helpers = require('./helpers');
+
+const root = helpers.root;
+const isProjectGroup = config.hbs.isProjectGroup;
+
+describe('parseUrl', () => {
+    it('splits project and view', () => {
+        assert.deepEqual(util.parseUrl('book/index', isProjectGroup), {
+            isGroup: false,
+            projectName: 'book',
+            viewName: 'index'
+        });
+        assert.deepEqual(util.parseUrl('book/sub/dir/page', isProjectGroup).viewName, path.join('sub/dir/page'));
+    });
+
+    it('takes two levels as project in project group', () => {
+        assert.deepEqual(util.parseUrl('group/test/subdir/t', isProjectGroup), {
+            isGroup: true,
+            projectName: path.join('group/test'),
+            viewName: path.join('subdir/t')
+        });
+        // the group itself
+        assert.deepEqual(util.parseUrl('group', isProjectGroup), {
+            isGroup: true,
+            projectName: 'group',
+            viewName: ''
+        });
+    });
+
+    it('normalizes the url first', () => {
+        assert.equal(util.parseUrl('book/../index/a', isProjectGroup).projectName, 'index');
+        assert.equal(util.parseUrl('book//index', isProjectGroup).viewName, 'index');
+        // leading separator means empty project, urls must be relative to root
+        assert.equal(util.parseUrl('/book/index', isProjectGroup).projectName, '');
+    });
+});
+
+describe('parseMixedYaml', () => {
+    it('parses yaml header and keeps the rest as content', () => {
+        assert.deepEqual(util.parseMixedYaml('---\ntitle: a\nlist: [1, 2]\n---\n<p>x</p>'), {
+            metadata: {
+                title: 'a',
+                list: [1, 2]
+            },
+            content: '\n<p>x</p>'
+        });
+    });
+
+    it('leaves content without header untouched', () => {
+        assert.deepEqual(util.parseMixedYaml('<p>hi</p>'), {
+            content: '<p>hi</p>'
+        });
+        // `---` not at the beginning, like a markdown rule
+        assert.equal(util.parseMixedYaml('text\n---\ntitle: a\n---\n').metadata, undefined);
+        // `----` is not a header
+        assert.equal(util.parseMixedYaml('----\nbody').metadata, undefined);
+    });
+
+    it('handles empty header, blank lines before it and CRLF', () => {
+        assert.deepEqual(util.parseMixedYaml('---\n---\nbody'), {
+            metadata: null,
+            content: '\nbody'
+        });
+        assert.equal(util.parseMixedYaml('\n\n---\ntitle: a\n---\nx').metadata.title, 'a');
+        assert.deepEqual(util.parseMixedYaml('---\r\ntitle: a\r\n---\r\nbody'), {
+            metadata: {
+                title: 'a'
+            },
+            content: '\r\nbody'
+        });
+        assert.equal(util.parseMixedYaml('---\ntitle: a\n---').content, '');
+    });
+
+    it('only ends header with a `---` line', () => {
+        assert.deepEqual(util.parseMixedYaml('---\ntitle: a --- b\n---\nbody'), {
+            metadata: {
+                title: 'a --- b'
+            },
+            content: '\nbody'
+        });
+        assert.equal(util.parseMixedYaml('---\ntitle: x ---\nbody').metadata, undefined);
+        assert.equal(util.parseMixedYaml('---\ntitle: x\n----\nbody').metadata, undefined);
+    });
+
+    it('throws on invalid yaml', () => {
+        assert.throws(() => util.parseMixedYaml('---\ntitle: [a\n---\nx'));
+    });
+});
+
+describe('resolvePath', () => {
+    const hbs = helpers.createHbs();
+    const context = (projectName, viewName, localConfig) => hbs.createContext({
+        projectName: path.normalize(projectName),
+        viewName,
+        config: localConfig || {}
+    }, {});
+    const file = (url) => path.join(root, url);
+
+    it('returns magic url as it is', () => {
+        assert.equal(hbs.resolvePath('__default_layout__', 'layout', null, null, context('alpha', 'index')),
+            '__default_layout__');
+    });
+
+    it('resolves name to type dir of the project, with default extname', () => {
+        assert.equal(hbs.resolvePath('footer', 'partial', null, file('alpha/index.html'), context('alpha', 'index')),
+            file('alpha/partials/footer.html'));
+        assert.equal(hbs.resolvePath('components/card/index', 'partial', null, null, context('alpha', 'index')),
+            file('alpha/partials/components/card/index.html'));
+        assert.equal(hbs.resolvePath('mock', 'data', '.json', null, context('alpha', 'index')),
+            file('alpha/data/mock.json'));
+        // extname in name is kept
+        assert.equal(hbs.resolvePath('mock.yml', 'data', '.json', null, context('alpha', 'index')),
+            file('alpha/data/mock.yml'));
+    });
+
+    it('uses type dir of project config, and project group', () => {
+        assert.equal(hbs.resolvePath('item', 'partial', null, null, context('group/gamma', 'index', {
+            partial: 'parts'
+        })), file('group/gamma/parts/item.html'));
+    });
+
+    it('resolves `shared:` to the shared project with default type dir', () => {
+        assert.equal(hbs.resolvePath('shared:index', 'layout', null, null, context('group/gamma', 'index', {
+            layout: 'parts'
+        })), file('shared/layouts/index.html'));
+        assert.equal(hbs.resolvePath('shared:preInstalledHelpers', 'helper', '.js', null, context('alpha', 'index')),
+            file('shared/helpers/preInstalledHelpers.js'));
+    });
+
+    it('resolves relative name to the including file', () => {
+        assert.equal(hbs.resolvePath('./default', 'partial', null, file('alpha/partials/components/card/index.html'),
+            context('alpha', 'index')), file('alpha/partials/components/card/default.html'));
+        assert.equal(hbs.resolvePath('../footer', 'partial', null, file('alpha/partials/components/x.html'),
+            context('alpha', 'index')), file('alpha/partials/footer.html'));
+    });
+
+    it('resolves relative name without including file to the dir of the view', () => {
+        assert.equal(hbs.resolvePath('./data.json', 'data', '.json', null, context('alpha', 'sub/page')),
+            file('alpha/sub/data.json'));
+        assert.equal(hbs.resolvePath('./data.json', 'data', '.json', null, context('alpha', 'index')),
+            file('alpha/data.json'));
+        // like `layout: ./frame` in yaml header of `alpha/docs/guide/page.html`
+        assert.equal(hbs.resolvePath('./frame', 'layout', null, null, context('alpha', path.join('docs', 'guide', 'page'))),
+            file('alpha/docs/guide/frame.html'));
+    });
+
+    it('keeps absolute name, adds extname only', () => {
+        assert.equal(hbs.resolvePath(file('alpha/partials/footer'), 'partial', null, null, context('beta', 'index')),
+            file('alpha/partials/footer.html'));
+    });
+});
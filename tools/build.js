@@ -3,85 +3,363 @@
 const path = require('path');
 const debug = require('debug')('tool:static');
 const KoaHbs = require('../server/koa-hbs');
-const buildStaticConfig = require('../config').buildStatic;
-let config = require('../config').hbs;
+const errors = require('../server/koa-hbs/errors');
+const style = require('../server/koa-hbs/style');
+const i18n = require('../server/koa-hbs/i18n');
 const util = require('./util');
+const fingerprint = require('./fingerprint');
 
 const Hbs = KoaHbs.Hbs;
 const loadConfig = KoaHbs.loadConfig;
 const parseUrl = KoaHbs.parseUrl;
-const createRenderer = KoaHbs.createRenderer;
 
-config = util.merge({}, Hbs.defaults, config);
+/**
+ * build pages, static res and sass of `hbs.root` to dest
+ * @param  {Object} options {hbs: hbs options, dest: dest dir, manifest: file name of build manifest,
+ *                          assetManifest: file name of asset manifest, htmlPattern: include/exclude pages,
+ *                          incremental: only rebuild pages whose inputs changed, concurrency: max renders at
+ *                          the same time, fingerprint: rename assets by content hash, strict: strict mode}
+ * @return {Promise}        promise with {manifest, failures: {file: message}, missing: locale --> page --> keys}
+ */
+const build = (options) => {
+    const config = util.merge(util.clone(Hbs.defaults), options.hbs);
+    const dest = options.dest;
+    const incremental = !!options.incremental;
+    const concurrency = +options.concurrency || 1;
+    const shouldFingerprint = !!options.fingerprint;
+    config.strict = !!(options.strict || config.strict);
+    // no source map for compiled sass and script bundles in production
+    config.style = Object.assign({}, config.style, {
+        sourceMap: false
+    });
+    config.script = Object.assign({}, config.script, {
+        sourceMap: false
+    });
+    const manifestUrl = path.join(dest, options.manifest || '.build-manifest.json');
+
+    const hbsInstance = new Hbs(config);
+    hbsInstance._genPartialComment = () => null;
+    const staticResMap = {};
+    // pages (and sass files) failed to build --> error message, the build fails if any
+    const failures = {};
+    // pages of every locale are built, pages of non-default locales are under the locale prefix, like `en/book/`
+    const locales = (config.i18n || {}).locales || [];
+    // locale --> page --> keys not found in dictionaries, reported at last
+    const missing = {};
+    // views could be any format with preprocessor (like `.md`), and are always built to html
+    const extnames = [config.extname].concat(Object.keys(hbsInstance.preprocessors));
+    const viewPattern = extnames.length > 1 ? `{${extnames.join(',')}}` : config.extname;
+
+    // manifest of last build, and the one of this build
+    let lastManifest = {
+        pages: {},
+        assets: {},
+        styles: {},
+        scripts: {}
+    };
+    const manifest = {
+        pages: {},
+        assets: {},
+        // sass file --> compiled css, relative to dest
+        styles: {},
+        // script bundles (and the common chunk) --> content hash, relative to dest
+        scripts: {},
+        // hash of the site collection (pages and their yaml headers)
+        site: null,
+        // hash of the effective config (templateOptions, layouts, style, script, locales, ...) and build options,
+        // any of them changes outputs of pages
+        options: util.hash(JSON.stringify({
+            hbs: config,
+            fingerprint: shouldFingerprint
+        }))
+    };
 
-const hbsInstance = new Hbs(config);
-hbsInstance._genPartialComment = () => null;
-const staticResMap = {};
+    // content hash of source files, relative to root
+    const hashes = {};
+    const hashFile = (file) => {
+        if (!hashes[file]) {
+            hashes[file] = util.read(path.resolve(config.root, file), {}).then(util.hash);
+        }
+        return hashes[file];
+    };
 
-util.list(config.root, [
-    '**/*' + config.extname,
-    '!' + config.shared + '/**/*' + config.extname,
-    '!**/node_modules/**/*' + config.extname
-].concat(buildStaticConfig.htmlPattern || [])).then(files => {
-    debug('files catched %o', files);
-    let localConfigPromises = files.map(file => {
-        let info = parseUrl(file, config.isProjectGroup);
-        return loadConfig(info.projectName, config, hbsInstance.cache).then(localConfig => {
-            info.realFileName = file;
-            info.config = localConfig;
-            const reLayout = new RegExp('^' + (localConfig.layout || config.layout));
-            const rePartial = new RegExp('^' + (localConfig.partial || config.partial));
-            if (reLayout.test(info.viewName) || rePartial.test(info.viewName)) {
-                debug('file %s will be ignored', file)
-                info.invalid = true;
+    // whether all inputs are the same as last build
+    const isUpToDate = (entry) => {
+        if (!entry) return Promise.resolve(false);
+        return Promise.all([entry.output].concat(entry.bundles || []).map(output => {
+            return util.exist(path.join(dest, output));
+        })).then(() => {
+            return Promise.all(Object.keys(entry.inputs).map(file => {
+                // input not existing last time is recorded as null, it's out of date once added
+                return hashFile(file).catch(() => null).then(hash => hash === entry.inputs[file]);
+            }));
+        }).then(res => res.every(v => v), () => false);
+    };
+
+    // page is one of pages generated by `paginate` of the view, like {url: '/book/routes/sha-hkg.html', number: 1}
+    const renderPage = (info, locale, page) => {
+        const prefix = i18n.prefixOf(locale, locales);
+        // pages generated by `paginate` are recorded by their urls
+        const name = page ? page.url.slice(1).split('/').join(path.sep) : info.realFileName;
+        const file = path.join(prefix, name);
+        const output = file.slice(0, -path.extname(file).length) + config.extname;
+        const viewUrl = path.resolve(config.root, info.realFileName);
+        const addMissing = (keys) => {
+            if (!locale || !keys || !keys.length) return;
+            (missing[locale] = missing[locale] || {})[name] = keys;
+        };
+        // pages could list other pages via `site`, all are built again when the collection or build options change
+        const reusable = incremental && manifest.site === lastManifest.site && manifest.options === lastManifest.options;
+        return isUpToDate(reusable && lastManifest.pages[file]).then(upToDate => {
+            if (upToDate) {
+                debug('%s is up to date', file);
+                manifest.pages[file] = lastManifest.pages[file];
+                // its scripts are bundled with others
+                hbsInstance.scripts.add(manifest.pages[file].scripts || []);
+                addMissing(manifest.pages[file].missing);
+                return;
             }
-            staticResMap[info.projectName] = {
-                layout: localConfig.layout || config.layout,
-                partial: localConfig.partial || config.partial
-            };
-            return info;
-        });
-    });
-    return Promise.all(localConfigPromises);
-}).then(infoList => {
-    let promise = Promise.resolve();
-    infoList.filter(info => {
-        return !info.invalid;
-    }).forEach(info => {
-        promise = promise.then(() => {
-            return hbsInstance.render(path.resolve(config.root, info.realFileName), {}, info).then((html) => {
-                    return util.write(path.join(buildStaticConfig.dest, info.realFileName), html, true);
+            const data = {};
+            // project config affects all views of the project
+            hbsInstance.graph.add(viewUrl, path.join(config.root, info.projectName, config.configFileName));
+            return hbsInstance.render(viewUrl, data, Object.assign({}, info, {
+                locale,
+                pageNumber: page && page.number
+            })).then((html) => {
+                // css bundles generated by csso
+                return Promise.all([util.write(path.join(dest, output), html, true)]
+                    .concat((data.__cssBundles__ || []).map(url => {
+                        return util.write(path.join(dest, url), hbsInstance.cssBundles[url].content, true);
+                    })));
+            }).then(() => {
+                // view, layout, partials, helpers, data, component.json and css imported via cssx
+                // (with files imported by sass)
+                const cssUrls = data.__css__.map(url => path.join(config.root, url));
+                const inputs = [].concat.apply([viewUrl].concat(hbsInstance.graph.dependenciesOf(viewUrl), cssUrls),
+                    cssUrls.map(url => hbsInstance.graph.dependenciesOf(url))).map(url => hbsInstance.readableUrl(url));
+                return Promise.all(inputs.map(input => hashFile(input).catch(() => null))).then(hashList => {
+                    const entry = manifest.pages[file] = {
+                        output,
+                        bundles: (data.__cssBundles__ || []).map(url => url.replace(/^\//, '')),
+                        scripts: Object.keys((data.__scripts__ || {}).entries || {}),
+                        missing: data.__i18n__ ? data.__i18n__.missing : [],
+                        inputs: {}
+                    };
+                    addMissing(entry.missing);
+                    inputs.forEach((input, i) => {
+                        // not existing file (like not existing .config.yml) is null
+                        entry.inputs[input] = hashList[i] || null;
+                    });
+                    debug('%s is built', file);
                 });
+            }).catch(err => {
+                // go on with other pages, and report all errors at last
+                failures[file] = errors.format(err, config.root);
+            });
         });
-    });
-    return promise;
-}).then(() => {
-    debug('about to transfer static res files');
-    const exclude = [];
-    for (let projectName in staticResMap) {
-        exclude.push(`!${projectName}/${staticResMap[projectName].layout}/**/*.*`);
-        exclude.push(`!${projectName}/${staticResMap[projectName].partial}/**/*.*`);
-    }
-    return util.list(config.root, [
-        '**/*.js', // js
-        '**/*.css', // css
-        '**/.*.css',
-        '**/*.{png,jpg,gif,webp}', // img
-        '**/*.{svg,eot,ttf,otf,woff}', // font
-        '**/*.{mp3,mp4,ogg,wav,aac,webm}', // media
-        '!**/node_modules/**/*.*'
-    ].concat(exclude)).then((files => {
+    };
+
+    // layouts and partials are not copied to dest
+    const excludeOfRes = () => {
+        const exclude = [];
+        for (let projectName in staticResMap) {
+            exclude.push(`!${projectName}/${staticResMap[projectName].layout}/**/*.*`);
+            exclude.push(`!${projectName}/${staticResMap[projectName].partial}/**/*.*`);
+        }
+        return exclude;
+    };
+
+    // compile sass to css (with vendor prefixes) in dest, like `book/static/styles/book.scss` --> `book.css`
+    const compileStyle = (file) => {
+        const output = style.cssUrlOf(file);
+        // css file with the same name wins, it's copied as it is
+        return util.exist(path.join(config.root, output)).then(() => {
+            debug('%s is ignored, %s exists', file, output);
+        }, () => {
+            const css = hbsInstance.loadStyle(path.join(config.root, file)).css;
+            manifest.styles[file] = output;
+            debug('%s is compiled to %s', file, output);
+            return util.write(path.join(dest, output), css, true);
+        }).catch(err => {
+            failures[file] = errors.format(err, config.root);
+        });
+    };
+
+    // remove outputs whose sources were deleted
+    const prune = (lastEntries, entries, getOutput) => {
+        return Promise.all(Object.keys(lastEntries).filter(file => !entries[file]).map(file => {
+            debug('%s is deleted, prune its output', file);
+            return util.remove(path.join(dest, getOutput(lastEntries[file], file)));
+        }));
+    };
+
+    return util.read(manifestUrl).then(content => {
+        if (incremental) {
+            lastManifest = JSON.parse(content);
+        }
+    }, () => null).then(() => {
+        return util.list(config.root, [
+            '**/*' + viewPattern,
+            '!' + config.shared + '/**/*' + viewPattern,
+            '!**/node_modules/**/*' + viewPattern
+        ].concat(options.htmlPattern || []));
+    }).then(files => {
         debug('files catched %o', files);
-        let promises = files.map(file => {
-            return util.read(path.resolve(config.root, file), {}).then(data => {
-                debug('%s length: %d', file, data.length);
-                return util.write(path.join(buildStaticConfig.dest, file), data, true, {});
+        let localConfigPromises = files.map(file => {
+            let info = parseUrl(file, config.isProjectGroup);
+            return loadConfig(info.projectName, config, hbsInstance.cache).then(localConfig => {
+                info.realFileName = file;
+                info.config = localConfig;
+                const reLayout = new RegExp('^' + (localConfig.layout || config.layout));
+                const rePartial = new RegExp('^' + (localConfig.partial || config.partial));
+                if (reLayout.test(info.viewName) || rePartial.test(info.viewName)) {
+                    debug('file %s will be ignored', file)
+                    info.invalid = true;
+                }
+                staticResMap[info.projectName] = {
+                    layout: localConfig.layout || config.layout,
+                    partial: localConfig.partial || config.partial
+                };
+                return info;
             });
         });
-        return Promise.all(promises);
-    }))
-}).then(() => {
-    debug('build successfully!');
-}).catch(err => {
-    console.log(err);
-});
+        return Promise.all(localConfigPromises);
+    }).then(infoList => {
+        return hbsInstance.loadPages().then(res => {
+            manifest.site = util.hash(JSON.stringify(res.site));
+            return {
+                infoList,
+                paginated: res.paginated
+            };
+        });
+    }).then(res => {
+        debug('render pages, incremental: %s, concurrency: %d, strict: %s', incremental, concurrency, config.strict);
+        const tasks = [];
+        res.infoList.filter(info => {
+            return !info.invalid;
+        }).forEach(info => {
+            // view with `paginate` expands into its pages
+            const pages = res.paginated['/' + info.realFileName.split(path.sep).join('/')] || [null];
+            // without locales configured, pages are built once
+            (locales.length ? locales : [undefined]).forEach(locale => {
+                pages.forEach(page => tasks.push(() => renderPage(info, locale, page)));
+            });
+        });
+        return util.parallel(tasks, concurrency);
+    }).then(() => {
+        return prune(lastManifest.pages, manifest.pages, entry => entry.output);
+    }).then(() => {
+        // remove css bundles no page uses
+        const bundles = {};
+        const lastBundles = {};
+        for (let file in manifest.pages) {
+            (manifest.pages[file].bundles || []).forEach(v => bundles[v] = true);
+        }
+        for (let file in lastManifest.pages) {
+            (lastManifest.pages[file].bundles || []).forEach(v => lastBundles[v] = true);
+        }
+        return prune(lastBundles, bundles, (v, file) => file);
+    }).then(() => {
+        debug('about to bundle scripts %o', Object.keys(hbsInstance.scripts.entries));
+        return hbsInstance.scripts.bundle().then(assets => {
+            return Promise.all(Object.keys(assets).map(url => {
+                const output = url.replace(/^\//, '');
+                manifest.scripts[output] = util.hash(assets[url]);
+                return util.write(path.join(dest, output), assets[url], true);
+            }));
+        }, err => {
+            failures.scripts = errors.format(err, config.root);
+        }).then(() => {
+            return prune(lastManifest.scripts || {}, manifest.scripts, (hash, file) => file);
+        });
+    }).then(() => {
+        debug('about to transfer static res files');
+        return util.list(config.root, [
+            '**/*.js', // js
+            '**/*.css', // css
+            '**/*.{png,jpg,gif,webp}', // img
+            '**/*.{svg,eot,ttf,otf,woff}', // font
+            '**/*.{mp3,mp4,ogg,wav,aac,webm}', // media
+            '!**/node_modules/**/*.*'
+        ].concat(excludeOfRes())).then((files => {
+            debug('files catched %o', files);
+            let promises = files.map(file => {
+                return util.read(path.resolve(config.root, file), {}).then(data => {
+                    const hash = util.hash(data);
+                    const output = path.join(dest, file);
+                    manifest.assets[file] = hash;
+                    return (incremental && lastManifest.assets[file] === hash ? util.exist(output) :
+                        Promise.reject()).catch(() => {
+                            debug('%s length: %d', file, data.length);
+                            return util.write(output, data, true, {});
+                        });
+                });
+            });
+            return Promise.all(promises);
+        })).then(() => {
+            return prune(lastManifest.assets, manifest.assets, (hash, file) => file);
+        });
+    }).then(() => {
+        debug('about to compile sass files');
+        // sass imported via cssx is bundled by csso, and `_*.scss` are only imported by others
+        return util.list(config.root, [
+            '**/*.{scss,sass}',
+            '!**/_*.{scss,sass}',
+            '!**/node_modules/**/*.*'
+        ].concat(excludeOfRes())).then(files => {
+            debug('files catched %o', files);
+            return util.parallel(files.map(file => () => compileStyle(file)), concurrency);
+        }).then(() => {
+            return prune(lastManifest.styles || {}, manifest.styles, output => output);
+        });
+    }).then(() => {
+        if (shouldFingerprint) {
+            debug('about to fingerprint static res files');
+            // css bundles of csso are named by content hash already, renamed only if urls in them are rewritten
+            const bundles = {};
+            for (let file in manifest.pages) {
+                (manifest.pages[file].bundles || []).forEach(v => bundles[v] = true);
+            }
+            return fingerprint(dest, {
+                manifest: options.assetManifest,
+                bundles: Object.keys(bundles)
+            });
+        }
+    }).then(() => {
+        return util.write(manifestUrl, JSON.stringify(manifest, null, '\t'), true);
+    }).then(() => {
+        debug('build done, %d failure(s)', Object.keys(failures).length);
+        return {
+            manifest,
+            failures,
+            missing
+        };
+    });
+};
+
+if (require.main === module) {
+    const config = require('../config');
+    const args = util.parseArgs(process.argv.slice(2));
+    build(Object.assign({}, config.buildStatic, {
+        hbs: config.hbs,
+        incremental: args.incremental || config.buildStatic.incremental,
+        concurrency: args.concurrency || config.buildStatic.concurrency,
+        fingerprint: args.fingerprint || config.buildStatic.fingerprint,
+        strict: args.strict || config.buildStatic.strict
+    })).then(result => {
+        const files = Object.keys(result.failures);
+        files.forEach(file => console.error(`${file}: ${result.failures[file]}`));
+        // missing translations are reported only, they fall back to the default locale
+        const report = i18n.formatMissing(result.missing);
+        if (report) console.log(`missing translations:\n${report}`);
+        if (files.length) {
+            console.error(`${files.length} file(s) failed to build: ${files.join(', ')}`);
+            process.exitCode = 1;
+        }
+    }).catch(err => {
+        console.error(err.stack || err);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = build;
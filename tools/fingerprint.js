@@ -0,0 +1,111 @@
+'use strict';
+
+const path = require('path');
+const debug = require('debug')('tool:fingerprint');
+const util = require('./util');
+
+// assets referenced by css go first, so css is hashed after its urls are rewritten
+const assetPatterns = [
+    ['**/*.{png,jpg,gif,webp}', '**/*.{svg,eot,ttf,otf,woff}', '**/*.{mp3,mp4,ogg,wav,aac,webm}'],
+    ['**/*.css'],
+    ['**/*.js']
+];
+const rAttrUrl = /(\s(?:src|href)\s*=\s*)(["'])([^"']+)\2/g;
+const rCssUrl = /(url\(\s*)(["']?)([^"')]+)\2(\s*\))/g;
+const rExternal = /^(?:[a-z][a-z\d+\-.]*:|\/\/|#)/i;
+
+// book/static/styles/book.css --> book/static/styles/book.3f2a1b9c.css
+const hashedName = (file, hash) => {
+    const ext = path.extname(file);
+    return file.slice(0, -ext.length) + '.' + hash.slice(0, 8) + ext;
+};
+
+// shared/static/styles/components.0123abcd.css --> shared/static/styles/components.css
+const unhashedName = (file) => {
+    const ext = path.extname(file);
+    return file.slice(0, -ext.length).replace(/\.[0-9a-f]{8}$/, '') + ext;
+};
+
+/**
+ * rewrite url to the hashed one
+ * @param  {String} url     url in html/css, absolute (to dest) or relative
+ * @param  {String} baseDir dir of the file containing the url, relative to dest
+ * @param  {Function} find  find the hashed name with file relative to dest
+ * @return {String}         rewritten url
+ */
+const rewriteUrl = (url, baseDir, find) => {
+    if (rExternal.test(url)) return url;
+    const parts = /^([^?#]*)(.*)$/.exec(url);
+    const file = parts[1][0] === '/' ? parts[1].slice(1) : path.join(baseDir, parts[1]);
+    const hashed = find(path.normalize(file));
+    if (!hashed) return url;
+    // hashed file is in the same dir, so only basename changes
+    return parts[1].slice(0, parts[1].length - path.basename(parts[1]).length) + path.basename(hashed) + parts[2];
+};
+
+const rewrite = (content, file, find, withAttr) => {
+    const baseDir = path.dirname(file);
+    if (withAttr) {
+        content = content.replace(rAttrUrl, (all, attr, quote, url) => attr + quote + rewriteUrl(url, baseDir, find) + quote);
+    }
+    return content.replace(rCssUrl, (all, start, quote, url, end) => start + quote + rewriteUrl(url, baseDir, find) + quote + end);
+};
+
+/**
+ * rename assets in dest to `name.<hash>.ext`, write `asset-manifest.json`,
+ * and rewrite references in html and css to hashed names.
+ * @param  {String} dest     dest dir of static build
+ * @param  {Object} options  {manifest: file name of asset manifest,
+ *                           bundles: files generated by the build and already named by content hash
+ *                           (like css bundles of csso), relative to dest. They are renamed by the hash
+ *                           of their content after urls are rewritten, and stay as they are if no url changes}
+ * @return {Object}          promise with asset manifest
+ */
+module.exports = (dest, options) => {
+    options = options || {};
+    const manifestUrl = path.join(dest, options.manifest || 'asset-manifest.json');
+    const manifest = {};
+    // hashed name of last build --> original name, pages not rebuilt still use them
+    const lastHashed = {};
+    const find = (file) => manifest[file] || manifest[lastHashed[file]];
+    const bundles = (options.bundles || []).map(path.normalize);
+
+    const hashAssets = (patterns) => util.list(dest, patterns).then(files => {
+        return Promise.all(files.map(file => {
+            const url = path.join(dest, file);
+            const isBundle = bundles.indexOf(path.normalize(file)) > -1;
+            return util.read(url, path.extname(file) === '.css' ? undefined : {}).then(content => {
+                if (path.extname(file) === '.css') {
+                    content = rewrite(content, file, find);
+                }
+                // bundles are named by the hash of their content, it changes once their urls are rewritten
+                const hashed = hashedName(isBundle ? unhashedName(file) : file, util.hash(content));
+                if (hashed === file) return;
+                manifest[file] = hashed;
+                debug('%s --> %s', file, manifest[file]);
+                return util.write(path.join(dest, manifest[file]), content, true, {}).then(() => util.remove(url));
+            });
+        }));
+    });
+
+    return util.read(manifestUrl).then(JSON.parse, () => ({})).then(lastManifest => {
+        // remove hashed files of last build, they will be generated again
+        return Promise.all(Object.keys(lastManifest).map(file => {
+            lastHashed[lastManifest[file]] = file;
+            return util.remove(path.join(dest, lastManifest[file]));
+        }));
+    }).then(() => {
+        let promise = Promise.resolve();
+        assetPatterns.forEach(patterns => {
+            promise = promise.then(() => hashAssets(patterns));
+        });
+        return promise;
+    }).then(() => util.list(dest, ['**/*.html'])).then(files => {
+        return Promise.all(files.map(file => {
+            const url = path.join(dest, file);
+            return util.read(url).then(html => util.write(url, rewrite(html, file, find, true)));
+        }));
+    }).then(() => {
+        return util.write(manifestUrl, JSON.stringify(manifest, null, '\t'));
+    }).then(() => manifest);
+};
@@ -0,0 +1,213 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const debug = require('debug')('tool:lint');
+const KoaHbs = require('../server/koa-hbs');
+const errors = require('../server/koa-hbs/errors');
+const validate = require('../server/koa-hbs/component').validate;
+const util = require('./util');
+
+const Hbs = KoaHbs.Hbs;
+const loadConfig = KoaHbs.loadConfig;
+const parseUrl = KoaHbs.parseUrl;
+const sharedPathRe = util.sharedPathRe;
+const relativePathRe = /^\.{1,2}/;
+
+const exists = (url) => fs.existsSync(url);
+
+/**
+ * lint templates under root:
+ * 1. partials which can't be resolved, helpers with no file;
+ * 2. partials/layouts nothing references;
+ * 3. component.json not matching the schema, states pointing to missing files;
+ * 4. css imported via cssx which doesn't exist.
+ * @param  {Object} options hbs options, like config.hbs
+ * @return {Promise}        promise with list of issues, like
+ *                          {level: 'error'|'warning', rule, file, line, column, message}
+ */
+const lint = (options) => {
+    const config = util.merge(util.clone(Hbs.defaults), options);
+    const hbs = new Hbs(config);
+    const root = config.root;
+    const readable = (url) => path.relative(root, url);
+    const extnames = [config.extname].concat(Object.keys(hbs.preprocessors));
+    const tplPattern = extnames.length > 1 ? `{${extnames.join(',')}}` : config.extname;
+    const issues = [];
+    // full url of partials and layouts --> referenced or not
+    const referenced = {};
+    const projects = {};
+
+    const report = (level, rule, file, loc, message) => {
+        issues.push({
+            level,
+            rule,
+            file: readable(file),
+            line: loc && loc.line,
+            column: loc && loc.column,
+            message
+        });
+    };
+    // location of ast node in file
+    const locOf = (node, entry) => {
+        const loc = hbs.locate(entry, errors.locOf(node && node.loc));
+        return loc.line ? loc : null;
+    };
+    // names not relative or shared (like `footer`) in shared templates depend on the project rendering it
+    const resolveAll = (name, type, ext, file, info) => {
+        if (info.projectName !== config.shared || relativePathRe.test(name) || sharedPathRe.test(name)) {
+            return [hbs.resolvePath(name, type, ext, file, info.context)];
+        }
+        return Object.keys(projects).map(projectName => {
+            return hbs.resolvePath(name, type, ext, file, projects[projectName].context);
+        });
+    };
+    const check = (name, type, ext, file, info) => {
+        const urls = resolveAll(name, type, ext, file, info).filter(exists);
+        urls.forEach(url => referenced[url] = true);
+        return urls.length > 0;
+    };
+
+    const lintTemplate = (info) => {
+        const file = info.url;
+        return hbs.load(file, true).then(entry => {
+            let parsed;
+            try {
+                parsed = hbs.parseEntry(entry, file);
+            } catch (err) {
+                return report('error', 'syntax', file, err, err.message);
+            }
+            parsed.partials.forEach(v => {
+                // dynamic partials (like component states) are resolved when rendering
+                if (v.dynamic) return;
+                if (!check(v.name, 'partial', null, file, info)) {
+                    report('error', 'missing-partial', file, locOf(v.node, entry),
+                        `partial "${v.name}" can't be resolved`);
+                }
+            });
+            parsed.helpers.forEach(v => {
+                const name = v.name.replace(sharedPathRe, '');
+                if (name === 'cssx') {
+                    const css = v.node.params[0];
+                    if (css && css.type === 'StringLiteral' && !exists(path.join(root, css.value))) {
+                        report('error', 'missing-css', file, locOf(v.node, entry), `css "${css.value}" doesn't exist`);
+                    }
+                }
+                if (hbs.handlebars.helpers[name]) return;
+                // block without params could be a section of data, like `{{#list}}{{/list}}`
+                const isHelper = v.node.type !== 'BlockStatement' || v.node.params.length || v.node.hash ||
+                    sharedPathRe.test(v.name);
+                if (!check(v.name, 'helper', '.js', file, info) && isHelper) {
+                    report('error', 'missing-helper', file, locOf(v.node, entry),
+                        `helper "${name}" has no file in helper dir or shared helper dir`);
+                }
+            });
+            if (info.role !== 'view') return;
+            let layout = entry.metadata && entry.metadata.layout;
+            if (layout == null || layout === true) {
+                layout = hbs.getOption('defaultLayout', info.context);
+            } else if (!layout || typeof layout !== 'string') {
+                return;
+            }
+            if (!check(layout, 'layout', null, file, info)) {
+                report('error', 'missing-layout', file, null, `layout "${layout}" can't be resolved`);
+            }
+        }, err => {
+            // like invalid yaml header
+            report('error', 'syntax', file, err, err.message);
+        });
+    };
+
+    const lintComponent = (file) => {
+        const url = path.join(root, file);
+        const dir = path.dirname(url);
+        return util.read(url).then(content => {
+            let component;
+            try {
+                component = JSON.parse(content);
+            } catch (err) {
+                const error = errors.dataError(err, url, content);
+                return report('error', 'component-json', url, error, error.message);
+            }
+            validate(component).forEach(message => report('error', 'component-schema', url, null, message));
+            if (!component || typeof component !== 'object') return;
+            const files = {};
+            for (let stateName in component.states || {}) {
+                files[stateName] = component.states[stateName] && component.states[stateName].file;
+            }
+            if (component.type === 'd') files.template = component.template;
+            Object.keys(files).forEach(key => {
+                const stateFile = files[key];
+                // missing or wrong type is reported by schema already
+                if (typeof stateFile !== 'string') return;
+                const stateUrl = path.join(dir, path.extname(stateFile) ? stateFile :
+                    stateFile + config.extname);
+                if (exists(stateUrl)) {
+                    referenced[stateUrl] = true;
+                    return;
+                }
+                report('error', 'missing-state-file', url, null, key === 'template' ?
+                    `template "${stateFile}" doesn't exist` : `file "${stateFile}" of state "${key}" doesn't exist`);
+            });
+        });
+    };
+
+    return util.list(root, ['**/*' + tplPattern, '!**/node_modules/**/*.*']).then(files => {
+        debug('templates catched %o', files);
+        return Promise.all(files.map(file => {
+            const info = parseUrl(file, config.isProjectGroup);
+            return loadConfig(info.projectName, config, hbs.cache).then(localConfig => {
+                info.config = localConfig;
+                info.url = path.join(root, file);
+                info.context = hbs.createContext(info, {});
+                const layoutDir = hbs.getOption('layout', info.context);
+                const partialDir = hbs.getOption('partial', info.context);
+                if (info.viewName.indexOf(layoutDir + path.sep) === 0) {
+                    info.role = 'layout';
+                } else if (info.viewName.indexOf(partialDir + path.sep) === 0) {
+                    info.role = 'partial';
+                } else {
+                    info.role = info.projectName === config.shared ? 'other' : 'view';
+                }
+                if (info.projectName !== config.shared) {
+                    projects[info.projectName] = info;
+                }
+                return info;
+            });
+        }));
+    }).then(infoList => {
+        return Promise.all(infoList.map(lintTemplate)).then(() => infoList);
+    }).then(infoList => {
+        return util.list(root, ['**/component.json', '!**/node_modules/**/*.*']).then(files => {
+            return Promise.all(files.map(lintComponent));
+        }).then(() => infoList);
+    }).then(infoList => {
+        infoList.forEach(info => {
+            if ((info.role === 'partial' || info.role === 'layout') && !referenced[info.url]) {
+                report('warning', `unused-${info.role}`, info.url, null, `${info.role} is not referenced by any template`);
+            }
+        });
+        return issues.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+    });
+};
+
+const formatIssues = (issues) => {
+    const errorCount = issues.filter(v => v.level === 'error').length;
+    return issues.map(v => {
+        const location = v.file + (v.line ? `:${v.line}:${v.column + 1}` : '');
+        return `${location}  ${v.level}  ${v.rule}  ${v.message}`;
+    }).concat(`${errorCount} error(s), ${issues.length - errorCount} warning(s)`).join('\n');
+};
+
+if (require.main === module) {
+    const args = util.parseArgs(process.argv.slice(2));
+    lint(require('../config').hbs).then(issues => {
+        console.log(args.json ? JSON.stringify(issues, null, '\t') : formatIssues(issues));
+        if (issues.some(v => v.level === 'error')) process.exitCode = 1;
+    }).catch(err => {
+        console.error(err.stack);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = lint;
@@ -0,0 +1,132 @@
+'use strict';
+
+const path = require('path');
+const debug = require('debug')('tool:newcomponent');
+const KoaHbs = require('../server/koa-hbs');
+const validate = require('../server/koa-hbs/component').validate;
+const util = require('./util');
+
+const Hbs = KoaHbs.Hbs;
+const loadConfig = KoaHbs.loadConfig;
+const nameRe = /^[A-Za-z][\w-]*$/;
+
+const containerTpl = (id, cssUrl) => `<!-- __component_key__={{__c_${id}__._key}} -->
+<div class="${id}">
+    {{> (relative __c_${id}__._stateFile) }}
+</div>
+{{cssx '${cssUrl}'}}
+`;
+
+// state of static component is complete, so it has the key comment and css itself
+const staticStateTpl = (id, stateName, cssUrl) => `<!-- __component_key__={{__c_${id}__._key}} -->
+<div class="${id} ${id}-${stateName}">
+    ${id}: ${stateName}
+</div>
+{{cssx '${cssUrl}'}}
+`;
+
+const stateTpl = (id, stateName) => `<div class="${id}-${stateName}">
+    ${id}: ${stateName}
+</div>
+`;
+
+const cssTpl = (id) => `.${id} {
+}
+`;
+
+// invalid arguments, the cli prints usage for them
+const invalid = (message) => {
+    const err = new Error(message);
+    err.code = 'EINVALID';
+    return err;
+};
+
+/**
+ * scaffold component dir `<project>/<partial dir>/components/<id>/`, with component.json,
+ * container template (dynamic component only), one template per state, and css imported via cssx.
+ * @param  {String} target  `<project>/<id>`, like `book/calendar` or `group/demo/calendar`
+ * @param  {Object} options {states: ['default'], type: 'd'|'s', name: display name, hbs: hbs options}
+ * @return {Promise}        promise with files created, relative to root
+ */
+const newComponent = (target, options) => {
+    options = options || {};
+    const config = util.merge(util.clone(Hbs.defaults), options.hbs);
+    const parts = (target || '').split(/[\\/]/).filter(v => v);
+    const id = parts.pop();
+    const projectName = parts.join(path.sep);
+    const type = options.type || 'd';
+    const states = options.states && options.states.length ? options.states : ['default'];
+    if (!projectName || !id) {
+        return Promise.reject(invalid('component should be like `<project>/<name>`, like `book/calendar`'));
+    }
+    if (!nameRe.test(id) || !states.every(v => nameRe.test(v))) {
+        return Promise.reject(invalid('names of component and states should be letters, digits, `_` or `-`'));
+    }
+    if (projectName === config.shared) {
+        return Promise.reject(invalid(`components belong to a project, not "${config.shared}"`));
+    }
+    return loadConfig(projectName, config, {}).then(localConfig => {
+        const dir = path.join(projectName, localConfig.partial || config.partial, 'components', id);
+        const cssUrl = '/' + path.join(dir, id + '.css').split(path.sep).join('/');
+        const extname = localConfig.extname || config.extname;
+        const component = {
+            name: options.name || id,
+            type,
+            states: {}
+        };
+        if (type === 'd') component.template = 'index';
+        states.forEach(stateName => {
+            component.states[stateName] = {
+                file: stateName,
+                name: stateName
+            };
+        });
+        // the first state is shown by default
+        component._state = states[0];
+        const messages = validate(component);
+        if (messages.length) {
+            throw invalid(messages.join('\n'));
+        }
+        const files = {
+            'component.json': JSON.stringify(component, null, '\t') + '\n',
+            [id + '.css']: cssTpl(id)
+        };
+        if (type === 'd') {
+            files['index' + extname] = containerTpl(id, cssUrl);
+        }
+        states.forEach(stateName => {
+            files[stateName + extname] = type === 'd' ? stateTpl(id, stateName) :
+                staticStateTpl(id, stateName, cssUrl);
+        });
+        return util.exist(path.join(config.root, dir)).then(() => {
+            throw new Error(`${dir} already exists`);
+        }, () => {
+            return Promise.all(Object.keys(files).map(name => {
+                debug('create %s', path.join(dir, name));
+                return util.write(path.join(config.root, dir, name), files[name], true);
+            }));
+        }).then(() => Object.keys(files).map(name => path.join(dir, name)));
+    });
+};
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    const args = util.parseArgs(argv);
+    const target = argv.filter(v => !/^--/.test(v))[0];
+    newComponent(target, {
+        states: args.states && String(args.states).split(',').filter(v => v),
+        type: args.type,
+        name: typeof args.name === 'string' ? args.name : null,
+        hbs: require('../config').hbs
+    }).then(files => {
+        console.log(files.map(file => `created ${file}`).join('\n'));
+    }).catch(err => {
+        console.error(err.message);
+        if (err.code === 'EINVALID') {
+            console.error('usage: npm run new-component -- <project>/<name> [--states=default,error] [--type=d|s] [--name=display name]');
+        }
+        process.exitCode = 1;
+    });
+}
+
+module.exports = newComponent;
@@ -0,0 +1,227 @@
+'use strict';
+
+const path = require('path');
+const debug = require('debug')('tool:snapshot');
+const KoaHbs = require('../server/koa-hbs');
+const errors = require('../server/koa-hbs/errors');
+const component = require('../server/koa-hbs/component');
+const util = require('./util');
+
+const Hbs = KoaHbs.Hbs;
+const loadConfig = KoaHbs.loadConfig;
+const parseUrl = KoaHbs.parseUrl;
+
+const rPartialComment = /<!--\s*partial(?:Begin|End)\([^)]*\)[\s\S]*?-->/g;
+const rComponentKey = /(^|\W)_component_\w+/g;
+// lines of context around changed lines, and max lines of diff per snapshot
+const contextLines = 2;
+const maxDiffLines = 60;
+const maxCompareCells = 4e6;
+
+/**
+ * normalize html, so only changes of markup and text are compared:
+ * partial info comments are removed, component keys are masked,
+ * and every tag or text is one line with whitespace collapsed.
+ * @param  {String} html rendered html
+ * @return {String}      normalized html
+ */
+const normalize = (html) => {
+    return html.replace(rPartialComment, '')
+        .replace(rComponentKey, '$1_component_*')
+        .split(/(<[^>]+>)/)
+        .map(v => v.replace(/\s+/g, ' ').trim())
+        .filter(v => v)
+        .join('\n') + '\n';
+};
+
+/**
+ * line diff of two texts (longest common subsequence), changed lines with some context
+ * @param  {String} before text of baseline
+ * @param  {String} after  text of current
+ * @return {String}        diff like `- old line` and `+ new line`, '' if same
+ */
+const diffLines = (before, after) => {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    // common head and tail are skipped, only the middle part is compared
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    if (start === endA && start === endB) return '';
+    const n = endA - start;
+    const m = endB - start;
+    // too many lines changed to compare, all of them are different anyway
+    if (n * m > maxCompareCells) {
+        return a.slice(start, endA).map(line => '- ' + line).concat(b.slice(start, endB).map(line => '+ ' + line))
+            .slice(0, maxDiffLines).join('\n');
+    }
+    // lcs[i][j]: length of lcs of a[start + i..endA) and b[start + j..endB)
+    const lcs = [];
+    for (let i = n; i >= 0; i--) {
+        lcs[i] = new Uint32Array(m + 1);
+        for (let j = m - 1; i < n && j >= 0; j--) {
+            lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 :
+                Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const lines = [];
+    for (let k = Math.max(start - contextLines, 0); k < start; k++) lines.push('  ' + a[k]);
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && a[start + i] === b[start + j]) {
+            lines.push('  ' + a[start + i]);
+            i++;
+            j++;
+        } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            lines.push('- ' + a[start + i++]);
+        } else {
+            lines.push('+ ' + b[start + j++]);
+        }
+    }
+    for (let k = endA; k < Math.min(endA + contextLines, a.length); k++) lines.push('  ' + a[k]);
+    // drop unchanged lines far from changes
+    const res = lines.filter((line, k) => {
+        if (line[0] !== ' ') return true;
+        for (let d = -contextLines; d <= contextLines; d++) {
+            if (lines[k + d] && lines[k + d][0] !== ' ') return true;
+        }
+        return false;
+    });
+    return res.length > maxDiffLines ? res.slice(0, maxDiffLines).concat(`  ... ${res.length - maxDiffLines} more line(s)`)
+        .join('\n') : res.join('\n');
+};
+
+/**
+ * render pages (like the static build) and all states of components to normalized html,
+ * then compare them with the baseline, or update the baseline. It's offline, no browser needed.
+ * @param  {Object} options {hbs: hbs options, baseline: dir of baseline, update: write baseline,
+ *                          htmlPattern: include/exclude pages, concurrency: max renders at the same time}
+ * @return {Promise}        promise with {snapshots, failures: {name: message}, added, removed, changed: {name: diff}},
+ *                          name is like `pages/book/index.html` or `components/book/passenger/error.html`
+ */
+const snapshot = (options) => {
+    const config = util.merge(util.clone(Hbs.defaults), options.hbs);
+    const hbs = new Hbs(config);
+    const root = config.root;
+    const extnames = [config.extname].concat(Object.keys(hbs.preprocessors));
+    const viewPattern = extnames.length > 1 ? `{${extnames.join(',')}}` : config.extname;
+    const snapshots = {};
+    const failures = {};
+    const tasks = [];
+
+    const record = (name, promise) => promise.then(html => {
+        snapshots[name] = normalize(html);
+    }, err => {
+        failures[name] = errors.format(err, root);
+    });
+
+    return util.list(root, [
+        '**/*' + viewPattern,
+        '!' + config.shared + '/**/*' + viewPattern,
+        '!**/node_modules/**/*' + viewPattern
+    ].concat(options.htmlPattern || [])).then(files => {
+        return Promise.all(files.map(file => {
+            const info = parseUrl(file, config.isProjectGroup);
+            return loadConfig(info.projectName, config, hbs.cache).then(localConfig => {
+                const layoutDir = localConfig.layout || config.layout;
+                const partialDir = localConfig.partial || config.partial;
+                if (info.viewName.indexOf(layoutDir + path.sep) === 0 || info.viewName.indexOf(partialDir + path.sep) === 0) {
+                    return;
+                }
+                info.config = localConfig;
+                const output = file.slice(0, -path.extname(file).length) + config.extname;
+                tasks.push(() => record(path.join('pages', output), hbs.render(path.join(root, file), {}, info)));
+            });
+        }));
+    }).then(() => component.list(root)).then(files => {
+        const projects = files.map(file => component.projectOf(file, config.isProjectGroup))
+            .filter((v, i, arr) => arr.indexOf(v) === i && v !== config.shared);
+        return Promise.all(projects.map(projectName => {
+            return hbs.loadComponentsMap(projectName).then(map => {
+                Object.keys(map.components).forEach(id => {
+                    Object.keys(map.components[id].states).forEach(stateName => {
+                        const url = path.join(projectName, id, stateName);
+                        tasks.push(() => record(path.join('components', url + config.extname),
+                            hbs.renderComponent(url, {})));
+                    });
+                });
+            }, err => {
+                failures[path.join('components', projectName)] = errors.format(err, root);
+            });
+        }));
+    }).then(() => {
+        debug('render %d snapshots', tasks.length);
+        return util.parallel(tasks, options.concurrency || 1);
+    }).then(() => {
+        return util.list(options.baseline, ['**/*' + config.extname]).catch(() => []);
+    }).then(baselineFiles => {
+        const result = {
+            snapshots,
+            failures,
+            added: Object.keys(snapshots).filter(name => baselineFiles.indexOf(name) === -1).sort(),
+            // pages failed to render are not removed
+            removed: baselineFiles.filter(name => !snapshots[name] && !failures[name]).sort(),
+            changed: {}
+        };
+        if (options.update) {
+            debug('update baseline %s', options.baseline);
+            return Promise.all(Object.keys(snapshots).map(name => {
+                return util.write(path.join(options.baseline, name), snapshots[name], true);
+            }).concat(result.removed.map(name => util.remove(path.join(options.baseline, name))))).then(() => result);
+        }
+        return Promise.all(Object.keys(snapshots).filter(name => result.added.indexOf(name) === -1).map(name => {
+            return util.read(path.join(options.baseline, name)).then(content => {
+                const diff = diffLines(content, snapshots[name]);
+                if (diff) result.changed[name] = diff;
+            });
+        })).then(() => result);
+    });
+};
+
+const formatResult = (result, update) => {
+    const lines = [];
+    Object.keys(result.failures).sort().forEach(name => lines.push(`failed  ${name}\n    ${result.failures[name]}`));
+    if (update) {
+        lines.push(`${Object.keys(result.snapshots).length} snapshot(s) written, ${result.removed.length} removed`);
+        return lines.join('\n');
+    }
+    result.added.forEach(name => lines.push(`added   ${name}`));
+    result.removed.forEach(name => lines.push(`removed ${name}`));
+    Object.keys(result.changed).sort().forEach(name => lines.push(`changed ${name}\n${result.changed[name]}`));
+    lines.push(`${Object.keys(result.changed).length} changed, ${result.added.length} added, ` +
+        `${result.removed.length} removed, ${Object.keys(result.failures).length} failed`);
+    return lines.join('\n');
+};
+
+if (require.main === module) {
+    const config = require('../config');
+    const args = util.parseArgs(process.argv.slice(2));
+    const update = !!args.update;
+    snapshot({
+        hbs: config.hbs,
+        baseline: config.snapshot.baseline,
+        update,
+        htmlPattern: config.buildStatic.htmlPattern,
+        concurrency: config.buildStatic.concurrency
+    }).then(result => {
+        console.log(formatResult(result, update));
+        const changed = Object.keys(result.changed).length + result.added.length + result.removed.length;
+        if (Object.keys(result.failures).length || (!update && changed)) {
+            if (!update && changed) console.log('run `npm run snapshot:update` if the changes are expected');
+            process.exitCode = 1;
+        }
+    }).catch(err => {
+        console.log(err.stack);
+        process.exitCode = 1;
+    });
+}
+
+exports = module.exports = snapshot;
+exports.normalize = normalize;
+exports.diffLines = diffLines;
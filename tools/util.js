@@ -34,6 +34,48 @@ const write = (filename, content, createDirIfNotExists, options) => {
     });
 };
 
+const remove = (filename) => {
+    return new Promise((resolve, reject) => {
+        fs.unlink(filename, (err) => (err && err.code !== 'ENOENT') ? reject(err) : resolve());
+    });
+};
+
+/**
+ * run tasks with limited concurrency
+ * @param  {Array} tasks   functions which return promise
+ * @param  {Number} limit  max amount of tasks running at the same time
+ * @return {Object}        promise with results of tasks (same order)
+ */
+const parallel = (tasks, limit) => {
+    const results = [];
+    const workers = [];
+    let index = 0;
+    const next = () => {
+        if (index >= tasks.length) return Promise.resolve();
+        let i = index++;
+        return tasks[i]().then(res => {
+            results[i] = res;
+            return next();
+        });
+    };
+    for (let i = 0; i < Math.min(Math.max(limit, 1) || 1, tasks.length); i++) {
+        workers.push(next());
+    }
+    return Promise.all(workers).then(() => results);
+};
+
+// ['--incremental', '--concurrency=4'] --> {incremental: true, concurrency: '4'}
+const parseArgs = (argv) => {
+    const args = {};
+    argv.forEach(v => {
+        let res = /^--([^=]+)(=(.*))?$/.exec(v);
+        if (res) {
+            args[res[1]] = res[2] ? res[3] : true;
+        }
+    });
+    return args;
+};
+
 const readlinkSync = (url) => {
     const parts = url.split(path.sep);
     let realUrl = '';
@@ -61,6 +103,9 @@ exports = module.exports = {
     mkdir,
     list,
     write,
+    remove,
+    parallel,
+    parseArgs,
     readlinkSync
 };
 